@@ -1,12 +1,51 @@
 const mongoose = require('mongoose')
+const { PointSchema } = require('./schemas/point')
+const { ClockTime } = require('./schemas/clock')
+const { WasteStream } = require('./schemas/wasteStream')
 
 const BinSchema = new mongoose.Schema({
   sensorId: { type: String, required: true, unique: true },
   locationName: { type: String, required: true },
+  location: { type: PointSchema }, // GeoJSON [lng, lat]
+  roadClass: { type: String, enum: ['urban', 'rural', 'highway'], default: 'rural' }, // road serving the bin
+  volume: { type: Number, default: 660, min: 0 }, // container volume in litres
+  wasteStream: { ...WasteStream, default: 'general' },
+  binType: { type: String, default: 'standard', trim: true }, // e.g. market, school; selects threshold overrides
+  // Per-bin fill-status cut-offs (%), overriding the bin type and global defaults
+  fillThresholds: {
+    half: { type: Number, min: 0, max: 150 },
+    full: { type: Number, min: 0, max: 150 },
+    priority: { type: Number, min: 0, max: 150 }
+  },
   fillLevel: { type: Number, default: 0 }, // 0-100 percentage
   status: { type: String, enum: ['Empty', 'Half', 'Full', 'Priority'], default: 'Empty' },
   historicalAvgFill: { type: Number, default: 0 },
-  lastSeenAt: { type: Date, default: Date.now }
+  // Learned from reading history by services/forecast.js
+  fillRatePerHour: { type: Number, default: 0 }, // % per hour
+  fillRateByDay: [Number], // % per hour, indexed by day of week (0 = Sunday)
+  forecastFullAt: Date, // when the collection threshold is expected to be crossed
+  // Hours the bin may be serviced (e.g. markets, schools); empty = any time
+  serviceWindows: [{
+    start: { ...ClockTime, required: true },
+    end: { ...ClockTime, required: true },
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }] // empty = every day
+  }],
+  serviceDurationMin: { type: Number, default: 3, min: 0 }, // minutes to empty
+  lastServicedAt: Date, // last stop serviced by a driver
+  lastSeenAt: { type: Date, default: Date.now },
+  // Maintained by services/sensorHealth.js
+  sensorHealth: {
+    status: { type: String, enum: ['ok', 'warning', 'fault'], default: 'ok' },
+    issues: [{
+      _id: false,
+      code: { type: String, enum: ['silent', 'stuck', 'jump', 'out-of-range'] },
+      message: String,
+      since: Date
+    }],
+    checkedAt: Date
+  }
 }, { timestamps: true })
 
+BinSchema.index({ location: '2dsphere' })
+
 module.exports = mongoose.model('Bin', BinSchema)
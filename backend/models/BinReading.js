@@ -0,0 +1,21 @@
+const mongoose = require('mongoose')
+
+// Raw readings are kept for READING_RETENTION_DAYS; older history lives in BinReadingHourly
+const RETENTION_DAYS = parseInt(process.env.READING_RETENTION_DAYS) || 90
+
+// One fill-level reading reported by a bin sensor (time-series collection)
+const BinReadingSchema = new mongoose.Schema({
+  timestamp: { type: Date, required: true, default: Date.now },
+  sensorId: { type: String, required: true },
+  fillLevel: { type: Number, required: true }, // 0-100 percentage
+  battery: { type: Number }, // percentage
+  temperature: { type: Number }, // °C
+  receivedAt: { type: Date, default: Date.now } // buffered uploads arrive well after timestamp
+}, {
+  timeseries: { timeField: 'timestamp', metaField: 'sensorId', granularity: 'minutes' },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+})
+
+BinReadingSchema.index({ sensorId: 1, timestamp: 1 })
+
+module.exports = mongoose.model('BinReading', BinReadingSchema)
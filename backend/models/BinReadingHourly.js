@@ -0,0 +1,26 @@
+const mongoose = require('mongoose')
+
+const RETENTION_DAYS = parseInt(process.env.READING_HOURLY_RETENTION_DAYS) || 730
+
+// Hourly rollup of BinReading, written by services/readings.js (time-series collection)
+const BinReadingHourlySchema = new mongoose.Schema({
+  timestamp: { type: Date, required: true }, // start of the hour
+  sensorId: { type: String, required: true },
+  count: { type: Number, default: 0 },
+  fillLevel: { type: Number }, // average
+  minFillLevel: { type: Number },
+  maxFillLevel: { type: Number },
+  battery: { type: Number }, // average
+  temperature: { type: Number }, // average
+  // Run that wrote the rollup; readings that arrive after their hour was rolled up get a
+  // further rollup for the same hour from a later run
+  rolledUpAt: { type: Date }
+}, {
+  timeseries: { timeField: 'timestamp', metaField: 'sensorId', granularity: 'hours' },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+})
+
+BinReadingHourlySchema.index({ sensorId: 1, timestamp: 1 })
+BinReadingHourlySchema.index({ rolledUpAt: -1 })
+
+module.exports = mongoose.model('BinReadingHourly', BinReadingHourlySchema)
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose')
+const { PointSchema } = require('./schemas/point')
+const { ClockTime } = require('./schemas/clock')
+
+// Yard where trucks are based; each truck's routes start and end at its home depot
+const DepotSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  municipality: { type: String }, // local authority operating the depot
+  location: { type: PointSchema, required: true },
+  address: { type: String },
+  // Gate opening hours; empty = always open. Trucks leave and return within them.
+  openingHours: [{
+    start: { ...ClockTime, required: true },
+    end: { ...ClockTime, required: true },
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }] // empty = every day
+  }],
+  active: { type: Boolean, default: true }
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } })
+
+DepotSchema.index({ location: '2dsphere' })
+
+// Trucks based at this depot
+DepotSchema.virtual('trucks', {
+  ref: 'Truck',
+  localField: '_id',
+  foreignField: 'depotId'
+})
+
+module.exports = mongoose.model('Depot', DepotSchema)
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose')
+const { PointSchema } = require('./schemas/point')
+const { ClockTime } = require('./schemas/clock')
+const { WasteStream } = require('./schemas/wasteStream')
+
+// Disposal or transfer site where trucks unload during and at the end of a route
+const FacilitySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  type: { type: String, enum: ['landfill', 'compost-site', 'recycling-centre', 'transfer-station'], required: true },
+  location: { type: PointSchema, required: true },
+  roadClass: { type: String, enum: ['urban', 'rural', 'highway'], default: 'rural' }, // road serving the site
+  address: { type: String },
+  acceptedStreams: { type: [WasteStream], default: ['general'] },
+  // Gate opening hours; empty = always open. A day without an entry is closed.
+  openingHours: [{
+    start: { ...ClockTime, required: true },
+    end: { ...ClockTime, required: true },
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }] // empty = every day
+  }],
+  unloadMin: { type: Number, default: 15, min: 0 }, // minutes to weigh in and tip a load
+  active: { type: Boolean, default: true }
+}, { timestamps: true })
+
+FacilitySchema.index({ location: '2dsphere' })
+
+module.exports = mongoose.model('Facility', FacilitySchema)
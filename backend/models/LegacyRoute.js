@@ -0,0 +1,11 @@
+const mongoose = require('mongoose')
+
+// Fixed collection rounds run before route optimization; used as the efficiency baseline
+const LegacyRouteSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  binSensorIds: [String], // visit order as scheduled
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+  active: { type: Boolean, default: true }
+}, { timestamps: true })
+
+module.exports = mongoose.model('LegacyRoute', LegacyRouteSchema)
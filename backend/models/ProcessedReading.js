@@ -0,0 +1,16 @@
+const mongoose = require('mongoose')
+
+// How long reading ids are remembered; gateways must not replay buffers older than this
+const DEDUPE_DAYS = parseInt(process.env.READING_DEDUPE_DAYS) || 30
+
+// Reading id already ingested for a sensor, so replayed gateway buffers are ignored
+const ProcessedReadingSchema = new mongoose.Schema({
+  sensorId: { type: String, required: true },
+  readingId: { type: String, required: true },
+  processedAt: { type: Date, default: Date.now }
+})
+
+ProcessedReadingSchema.index({ sensorId: 1, readingId: 1 }, { unique: true })
+ProcessedReadingSchema.index({ processedAt: 1 }, { expireAfterSeconds: DEDUPE_DAYS * 24 * 60 * 60 })
+
+module.exports = mongoose.model('ProcessedReading', ProcessedReadingSchema)
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose')
+
+const RETENTION_DAYS = parseInt(process.env.REJECTED_READING_RETENTION_DAYS) || 30
+
+// Sensor reading refused at ingestion, kept for troubleshooting
+const RejectedReadingSchema = new mongoose.Schema({
+  sensorId: String,
+  keyId: String,
+  reason: {
+    type: String,
+    enum: ['missing-key', 'unknown-key', 'revoked-key', 'expired-key', 'sensor-mismatch', 'invalid-payload'],
+    required: true
+  },
+  source: { type: String, default: 'http' },
+  ip: String,
+  payload: mongoose.Schema.Types.Mixed,
+  receivedAt: { type: Date, default: Date.now }
+})
+
+RejectedReadingSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+
+module.exports = mongoose.model('RejectedReading', RejectedReadingSchema)
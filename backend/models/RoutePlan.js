@@ -1,28 +1,122 @@
 const mongoose = require('mongoose')
+const { WasteStream } = require('./schemas/wasteStream')
+
+// One truck's route; also used for the optimizer's output kept when a plan is edited
+const RouteSchema = new mongoose.Schema({
+  truckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
+  truckPlate: { type: String }, // denormalized for display
+  depotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Depot' }, // where the route starts and ends
+  depotName: { type: String },
+  wasteStream: { ...WasteStream, default: 'general' }, // the only stream collected on this route
+  binSensorIds: [String],
+  stops: [{
+    kind: { type: String, enum: ['bin', 'disposal'], default: 'bin' },
+    sensorId: String, // bin stops
+    facilityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Facility' }, // disposal stops
+    unloadedLitres: Number, // disposal stops: load tipped since the previous unload
+    order: Number,
+    legDistance: Number, // km from the previous stop
+    estimatedTime: Number, // minutes after departure until arrival
+    eta: Date,
+    waitMin: { type: Number, default: 0 }, // waiting for the service window to open
+    serviceMin: { type: Number, default: 0 },
+    locationName: String,
+    priority: { type: Boolean, default: false },
+    late: { type: Boolean, default: false }, // arrives after its service window
+    lateByMin: { type: Number, default: 0 },
+    // Bin stops: outcome recorded by the driver (see PlanLifecycle.recordStop)
+    status: { type: String, enum: ['pending', 'serviced', 'partial', 'skipped'], default: 'pending' },
+    skipReason: { type: String, enum: ['blocked-access', 'bin-missing', 'already-empty', 'damaged'] },
+    observedFillLevel: { type: Number, min: 0, max: 150 }, // % seen by the driver on arrival
+    weightKg: { type: Number, min: 0 }, // collected, when the truck has a scale
+    photoUrl: String, // proof of service
+    note: String,
+    completedAt: Date, // when the driver recorded it, which may be before it reached the server
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Detected without the driver (see StopArrivals)
+    arrivedAt: Date, // truck entered the stop's geofence
+    autoDetected: { type: String, enum: ['geofence', 'sensor'] }, // outcome set automatically, until the driver records the stop
+    sensorConfirmedAt: Date, // the bin's sensor reported a fill level drop after the visit
+    sensorFillBefore: Number,
+    sensorFillAfter: Number
+  }],
+  totalDistance: { type: Number, default: 0 }, // km, after improvement
+  constructionDistance: { type: Number, default: 0 }, // km, nearest-neighbour tour
+  estimatedTimeMin: Number, // departure to return, including service and waiting
+  drivingTimeMin: Number,
+  load: { type: Number, default: 0 }, // expected litres collected
+  capacity: { type: Number, default: 0 }, // truck capacity in litres
+  trips: { type: Number, default: 0 }, // unloading visits to disposal facilities
+  priorityRoute: { type: Boolean, default: false },
+  shiftOverrunMin: { type: Number, default: 0 }, // minutes past the driver's shift end
+  // Reported by the driver while the route runs
+  problems: [{
+    kind: { type: String, enum: ['breakdown', 'road-blocked', 'accident', 'bin-problem', 'other'], required: true },
+    note: String,
+    stopId: mongoose.Schema.Types.ObjectId, // when the problem is at a stop
+    sensorId: String,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    byName: String,
+    clientId: String // set by the driver app so replayed reports are stored once
+  }],
+  status: { type: String, enum: ['planned', 'dispatched', 'in-progress', 'completed', 'cancelled'], default: 'planned' }
+})
 
 const RoutePlanSchema = new mongoose.Schema({
   mode: { type: String, enum: ['real-time', 'predictive'], required: true },
   generatedFor: { type: Date, default: Date.now },
-  routes: [
-    {
-      truckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
-      truckPlate: { type: String }, // denormalized for display
-      binSensorIds: [String],
-      stops: [{
-        sensorId: String,
-        order: Number,
-        estimatedTime: Number, // minutes
-        locationName: String
-      }],
-      totalDistance: { type: Number, default: 0 }, // km
-      estimatedTimeMin: Number,
-      status: { type: String, enum: ['planned', 'dispatched', 'in-progress', 'completed'], default: 'planned' }
-    }
-  ],
+  routes: [RouteSchema],
+  // Lifecycle, enforced by PlanLifecycle: draft -> approved -> dispatched -> in-progress -> completed,
+  // or cancelled from any open status
+  status: { type: String, enum: ['draft', 'approved', 'dispatched', 'in-progress', 'completed', 'cancelled'], default: 'draft' },
+  history: [{
+    from: String,
+    to: String,
+    routeId: mongoose.Schema.Types.ObjectId, // set when a single route changed
+    truckPlate: String,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    byName: String,
+    note: String
+  }],
   approved: { type: Boolean, default: false },
+  approvedAt: Date,
   dispatchedAt: Date,
   completedAt: Date,
+  cancelledAt: Date,
+  originalRoutes: [RouteSchema], // optimizer output, kept once routes are edited by hand
+  editedAt: Date,
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Bins that qualified for collection but are on no route, to plan a second wave
+  unassignedBins: [{
+    sensorId: String,
+    locationName: String,
+    wasteStream: { ...WasteStream },
+    load: Number, // expected litres
+    priority: { type: Boolean, default: false },
+    reason: { type: String, enum: ['capacity', 'shift', 'time-window', 'no-truck', 'no-capacity', 'depot-closed', 'removed'] }
+  }],
+  objective: { type: String, enum: ['distance', 'balance-time', 'balance-stops'], default: 'distance' },
+  // Workload spread across the trucks with routes, within the widest waste stream
+  balance: {
+    metric: { type: String, enum: ['time', 'stops'] },
+    min: { type: Number, default: 0 }, // minutes or stops
+    max: { type: Number, default: 0 },
+    spread: { type: Number, default: 0 }
+  },
+  improvement: {
+    constructionDistance: { type: Number, default: 0 }, // km, all routes before local search
+    improvedDistance: { type: Number, default: 0 }, // km, all routes after local search
+    iterations: { type: Number, default: 0 },
+    elapsedMs: { type: Number, default: 0 }
+  },
   efficiency: {
+    baselineSource: { type: String, enum: ['legacy-schedule', 'unoptimized-order'] },
+    baselineDistance: { type: Number, default: 0 }, // km
+    baselineTime: { type: Number, default: 0 }, // minutes
+    optimizedDistance: { type: Number, default: 0 }, // km
+    optimizedTime: { type: Number, default: 0 }, // minutes
     timeSaved: { type: Number, default: 0 }, // minutes
     distanceSaved: { type: Number, default: 0 }, // km
     fuelSaved: { type: Number, default: 0 } // liters
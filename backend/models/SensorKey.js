@@ -0,0 +1,28 @@
+const mongoose = require('mongoose')
+
+// Per-device API key for sensor ingestion. Only a hash of the secret is stored.
+const SensorKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  sensorId: { type: String, required: true, index: true },
+  secretHash: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: Date, // set when the key is rotated out with a grace period
+  revokedAt: Date,
+  lastUsedAt: Date
+}, { timestamps: true })
+
+SensorKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked'
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired'
+  return 'active'
+})
+
+SensorKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.secretHash
+    return ret
+  }
+})
+
+module.exports = mongoose.model('SensorKey', SensorKeySchema)
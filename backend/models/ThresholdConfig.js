@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+// Fill level (%) at which a bin becomes Half, Full (needs collection) and Priority
+const thresholdFields = {
+  half: { type: Number, min: 0, max: 150 },
+  full: { type: Number, min: 0, max: 150 },
+  priority: { type: Number, min: 0, max: 150 }
+}
+
+// Fill-status cut-offs: global defaults plus overrides per bin type (single document)
+// Per-bin overrides live on the bin itself (Bin.fillThresholds)
+const ThresholdConfigSchema = new mongoose.Schema({
+  key: { type: String, default: 'fill-thresholds', unique: true },
+  defaults: {
+    half: { ...thresholdFields.half, default: 25 },
+    full: { ...thresholdFields.full, default: 70 },
+    priority: { ...thresholdFields.priority, default: 100 }
+  },
+  binTypes: [{
+    _id: false,
+    binType: { type: String, required: true, trim: true },
+    ...thresholdFields
+  }],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true })
+
+module.exports = mongoose.model('ThresholdConfig', ThresholdConfigSchema)
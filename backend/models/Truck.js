@@ -1,16 +1,31 @@
 const mongoose = require('mongoose')
+const { PointSchema } = require('./schemas/point')
+const { ClockTime } = require('./schemas/clock')
+const { WasteStream } = require('./schemas/wasteStream')
 
 const TruckSchema = new mongoose.Schema({
   plate: { type: String, required: true, unique: true },
   model: { type: String, required: true },
-  capacity: { type: String },
+  capacity: { type: Number, min: 0 }, // litres of waste the body holds
+  // Streams the truck may collect; it carries only one of them on any route
+  wasteStreams: { type: [WasteStream], default: ['general'] },
   status: { type: String, enum: ['Active', 'In Maintenance', 'Inactive'], default: 'Active' },
+  depotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Depot' }, // home depot; routes start and end there
   driver: {
     name: { type: String },
     phone: { type: String },
-    email: { type: String }
+    email: { type: String },
+    shiftStart: { ...ClockTime, default: '06:00' },
+    shiftEnd: { ...ClockTime, default: '14:00' }
   },
-  currentLocation: { type: String, default: 'Kilinochchi Town' }
+  currentLocation: { type: String, default: 'Kilinochchi Town' },
+  location: { type: PointSchema }, // GeoJSON [lng, lat] of currentLocation, or the latest GPS ping
+  // Latest GPS ping (see services/tracking.js); history is in TruckPosition
+  positionAt: Date,
+  speedKmh: Number,
+  heading: Number
 }, { timestamps: true })
 
+TruckSchema.index({ location: '2dsphere' })
+
 module.exports = mongoose.model('Truck', TruckSchema)
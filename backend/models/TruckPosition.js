@@ -0,0 +1,22 @@
+const mongoose = require('mongoose')
+const { PointSchema } = require('./schemas/point')
+
+// Positions are kept for POSITION_RETENTION_DAYS
+const RETENTION_DAYS = parseInt(process.env.POSITION_RETENTION_DAYS) || 30
+
+// One GPS ping from a truck (time-series collection)
+const TruckPositionSchema = new mongoose.Schema({
+  timestamp: { type: Date, required: true, default: Date.now },
+  truckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck', required: true },
+  location: { type: PointSchema, required: true }, // GeoJSON [lng, lat]
+  speedKmh: { type: Number, min: 0 },
+  heading: { type: Number, min: 0, max: 360 }, // degrees clockwise from north
+  accuracyM: { type: Number, min: 0 } // GPS accuracy radius
+}, {
+  timeseries: { timeField: 'timestamp', metaField: 'truckId', granularity: 'seconds' },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+})
+
+TruckPositionSchema.index({ truckId: 1, timestamp: 1 })
+
+module.exports = mongoose.model('TruckPosition', TruckPositionSchema)
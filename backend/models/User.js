@@ -4,8 +4,9 @@ const bcrypt = require('bcryptjs')
 const UserSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin'], default: 'admin' },
-  name: { type: String, required: true }
+  role: { type: String, enum: ['admin', 'driver'], default: 'admin' },
+  name: { type: String, required: true },
+  truckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' } // drivers: the truck they drive
 }, { timestamps: true })
 
 // Hash password before saving
@@ -0,0 +1,7 @@
+// Time of day as 'HH:mm' (24h), interpreted in the district's local time
+const ClockTime = {
+  type: String,
+  match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'time must be HH:mm']
+}
+
+module.exports = { ClockTime }
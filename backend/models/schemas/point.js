@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+// GeoJSON point, stored as [lng, lat] so it can back a 2dsphere index
+const PointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: {
+    type: [Number],
+    default: undefined,
+    required: true,
+    validate: {
+      validator: (c) => c.length === 2 && c[0] >= -180 && c[0] <= 180 && c[1] >= -90 && c[1] <= 90,
+      message: 'coordinates must be [lng, lat]'
+    }
+  }
+}, { _id: false })
+
+// Build a point from plain lat/lng values
+const pointFromLatLng = (lat, lng) => ({ type: 'Point', coordinates: [Number(lng), Number(lat)] })
+
+// Request bodies may give { lat, lng } instead of a GeoJSON location
+function withLocation(body) {
+  const { lat, lng, ...fields } = body
+  if (lat !== undefined && lng !== undefined) fields.location = pointFromLatLng(lat, lng)
+  return fields
+}
+
+module.exports = { PointSchema, pointFromLatLng, withLocation }
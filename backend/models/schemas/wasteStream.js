@@ -0,0 +1,6 @@
+// Waste streams kept apart from bin to disposal (matches Collection's tonnage fields)
+const WASTE_STREAMS = ['general', 'recyclables', 'organic']
+
+const WasteStream = { type: String, enum: WASTE_STREAMS }
+
+module.exports = { WASTE_STREAMS, WasteStream }
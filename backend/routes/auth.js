@@ -1,6 +1,7 @@
 const express = require('express')
 const jwt = require('jsonwebtoken')
 const User = require('../models/User')
+const SensorAuth = require('../services/sensorAuth')
 const router = express.Router()
 
 // Middleware to verify JWT
@@ -16,6 +17,29 @@ const authenticate = (req, res, next) => {
   }
 }
 
+// Middleware restricting a route to the given user roles (use after authenticate)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) return res.status(403).json({ error: 'Insufficient permissions' })
+  next()
+}
+
+// Middleware to verify a sensor's device key (X-Sensor-Key: <keyId>.<secret>)
+// against the sensorId in the body; refused readings are logged with the reason
+const authenticateSensor = async (req, res, next) => {
+  try {
+    const sensorId = req.body?.sensorId
+    const result = await SensorAuth.verify(req.header('X-Sensor-Key'), sensorId)
+    if (result.reason) {
+      await SensorAuth.reject({ sensorId, keyId: result.keyId, reason: result.reason, ip: req.ip, payload: req.body })
+      return res.status(401).json({ error: `Sensor key rejected: ${result.reason}` })
+    }
+    req.sensorKey = result.key
+    next()
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+}
+
 // POST /api/auth/login
 router.post('/login', async (req, res) => {
   try {
@@ -25,7 +49,7 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' })
     }
     const token = jwt.sign({ id: user._id, username: user.username, role: user.role }, process.env.JWT_SECRET || 'secret', { expiresIn: '24h' })
-    res.json({ token, user: { id: user._id, username: user.username, name: user.name, role: user.role } })
+    res.json({ token, user: { id: user._id, username: user.username, name: user.name, role: user.role, truckId: user.truckId } })
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
@@ -36,15 +60,17 @@ router.get('/me', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password')
     if (!user) return res.status(404).json({ error: 'User not found' })
-    res.json({ user: { id: user._id, username: user.username, name: user.name, role: user.role } })
+    res.json({ user: { id: user._id, username: user.username, name: user.name, role: user.role, truckId: user.truckId } })
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
-// POST /api/auth/register - for initial admin setup
+// POST /api/auth/register - initial admin setup, only while there are no users yet;
+// after that admins create accounts through /api/users
 router.post('/register', async (req, res) => {
   try {
+    if (await User.exists({})) return res.status(403).json({ error: 'Setup is complete; ask an admin for an account' })
     const { username, password, name } = req.body
     const user = new User({ username, password, name, role: 'admin' })
     await user.save()
@@ -54,4 +80,4 @@ router.post('/register', async (req, res) => {
   }
 })
 
-module.exports = { router, authenticate }
\ No newline at end of file
+module.exports = { router, authenticate, requireRole, authenticateSensor }
\ No newline at end of file
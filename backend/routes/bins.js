@@ -1,11 +1,15 @@
 const express = require('express')
 const router = express.Router()
 const Bin = require('../models/Bin')
+const ReadingHistory = require('../services/readings')
+const SensorIngestion = require('../services/ingestion')
+const { authenticate, requireRole, authenticateSensor } = require('./auth')
+const { withLocation } = require('../models/schemas/point')
 const fs = require('fs')
 const path = require('path')
 
 // GET /api/bins
-router.get('/', async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const bins = await Bin.find().sort({ createdAt: -1 })
     res.json(bins)
@@ -14,10 +18,10 @@ router.get('/', async (req, res) => {
   }
 })
 
-// POST /api/bins - add
-router.post('/', async (req, res) => {
+// POST /api/bins - add; body: { sensorId, locationName, lat, lng, wasteStream, volume, ... }
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const bin = new Bin(req.body)
+    const bin = new Bin(withLocation(req.body))
     await bin.save()
     res.status(201).json(bin)
   } catch (err) {
@@ -26,9 +30,9 @@ router.post('/', async (req, res) => {
 })
 
 // PUT /api/bins/:id - update
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const bin = await Bin.findByIdAndUpdate(req.params.id, req.body, { new: true })
+    const bin = await Bin.findByIdAndUpdate(req.params.id, withLocation(req.body), { new: true, runValidators: true })
     if (!bin) return res.status(404).json({ error: 'Bin not found' })
     res.json(bin)
   } catch (err) {
@@ -37,7 +41,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/bins/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const bin = await Bin.findByIdAndDelete(req.params.id)
     if (!bin) return res.status(404).json({ error: 'Bin not found' })
@@ -48,7 +52,7 @@ router.delete('/:id', async (req, res) => {
 })
 
 // POST /api/bins/seed - load bins from a local seed file (dev convenience)
-router.post('/seed', async (req, res) => {
+router.post('/seed', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const file = path.join(__dirname, '..', 'bins-seed.json')
     if (!fs.existsSync(file)) return res.status(404).json({ error: 'seed file not found' })
@@ -61,22 +65,62 @@ router.post('/seed', async (req, res) => {
   }
 })
 
-// POST /api/bins/report - sensor reports fill level { sensorId, fillLevel }
-router.post('/report', async (req, res) => {
+// GET /api/bins/:id/readings?from&to&interval - reading history for charting
+// interval: raw (default) or a bucket size such as 15m, 1h, 1d
+router.get('/:id/readings', authenticate, async (req, res) => {
   try {
-    const { sensorId, fillLevel } = req.body
-    let status = 'Empty'
-    if (fillLevel >= 100) status = 'Priority'  // 100% is priority
-    else if (fillLevel >= 70) status = 'Full'  // 70-99% is full but not priority
-    else if (fillLevel >= 25) status = 'Half'
-    const bin = await Bin.findOneAndUpdate({ sensorId }, { fillLevel, status, lastSeenAt: new Date() }, { new: true })
+    const bin = await Bin.findById(req.params.id)
+    if (!bin) return res.status(404).json({ error: 'Bin not found' })
+
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000)
+    if (isNaN(from) || isNaN(to)) return res.status(400).json({ error: 'Invalid from/to date' })
+
+    let readings
+    try {
+      readings = await ReadingHistory.series(bin.sensorId, { from, to, interval: req.query.interval })
+    } catch (err) {
+      return res.status(400).json({ error: err.message })
+    }
+    res.json({ sensorId: bin.sensorId, from, to, interval: req.query.interval || 'raw', readings })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/bins/report - sensor reports fill level { sensorId, fillLevel, battery?, temperature? }
+router.post('/report', authenticateSensor, async (req, res) => {
+  try {
+    const bin = await SensorIngestion.ingest(req.body, req.app.get('io'))
     if (!bin) return res.status(404).json({ error: 'Bin not found' })
-    // Emit real-time update
-    req.app.get('io').emit('binUpdate', bin)
     res.json(bin)
   } catch (err) {
     res.status(400).json({ error: err.message })
   }
 })
 
+// POST /api/bins/report/batch - buffered gateway upload
+// { readings: [{ readingId?, sensorId, fillLevel, timestamp, battery?, temperature?, key? }] }
+// Readings are authorised with their own key or the request's X-Sensor-Key and applied oldest first
+router.post('/report/batch', async (req, res) => {
+  try {
+    const { readings } = req.body
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return res.status(400).json({ error: 'readings must be a non-empty array' })
+    }
+    if (readings.length > SensorIngestion.maxBatchSize) {
+      return res.status(413).json({ error: `At most ${SensorIngestion.maxBatchSize} readings per batch` })
+    }
+    const results = await SensorIngestion.ingestBatch(readings, {
+      key: req.header('X-Sensor-Key'),
+      ip: req.ip,
+      io: req.app.get('io')
+    })
+    const summary = results.reduce((counts, r) => ({ ...counts, [r.status]: (counts[r.status] || 0) + 1 }), {})
+    res.json({ summary, results })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 module.exports = router
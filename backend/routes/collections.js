@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const Collection = require('../models/Collection');
-const { authenticate } = require('./auth');
+const { authenticate, requireRole } = require('./auth');
 
 // GET /api/collections - list all collections
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const collections = await Collection.find().sort({ date: -1 }).populate('truck bins createdBy');
     res.json(collections);
@@ -14,7 +14,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // POST /api/collections - create new collection
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const collection = new Collection(req.body);
     await collection.save();
@@ -0,0 +1,53 @@
+const express = require('express')
+const router = express.Router()
+const Depot = require('../models/Depot')
+const Truck = require('../models/Truck')
+const { authenticate, requireRole } = require('./auth')
+const { withLocation } = require('../models/schemas/point')
+
+// GET /api/depots - list depots with the trucks based at each
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const depots = await Depot.find().sort({ name: 1 }).populate('trucks', 'plate status')
+    res.json(depots)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/depots - body: { name, municipality, lat, lng, address, openingHours }
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const depot = new Depot(withLocation(req.body))
+    await depot.save()
+    res.status(201).json(depot)
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// PUT /api/depots/:id - update depot
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const depot = await Depot.findByIdAndUpdate(req.params.id, withLocation(req.body), { new: true, runValidators: true })
+    if (!depot) return res.status(404).json({ error: 'Depot not found' })
+    res.json(depot)
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// DELETE /api/depots/:id - delete depot
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const based = await Truck.countDocuments({ depotId: req.params.id })
+    if (based > 0) return res.status(400).json({ error: `${based} trucks are based at this depot` })
+    const depot = await Depot.findByIdAndDelete(req.params.id)
+    if (!depot) return res.status(404).json({ error: 'Depot not found' })
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
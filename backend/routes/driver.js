@@ -0,0 +1,30 @@
+const express = require('express')
+const router = express.Router()
+const RoutePlan = require('../models/RoutePlan')
+const User = require('../models/User')
+const { authenticate, requireRole } = require('./auth')
+
+// Driver view: starting the route, recording stops and reporting problems go through
+// the /api/routeplans route endpoints, which let drivers act on their own route only
+
+// GET /api/driver/route - the dispatched or running route of the driver's truck
+// returns { planId, planStatus, generatedFor, route } with route null when there is none
+router.get('/route', authenticate, requireRole('driver'), async (req, res) => {
+  try {
+    const driver = await User.findById(req.user.id)
+    if (!driver?.truckId) return res.status(400).json({ error: 'No truck is assigned to you' })
+
+    const plan = await RoutePlan.findOne({
+      status: { $in: ['dispatched', 'in-progress'] },
+      routes: { $elemMatch: { truckId: driver.truckId, status: { $ne: 'cancelled' } } }
+    }).sort({ dispatchedAt: -1 })
+    if (!plan) return res.json({ route: null })
+
+    const route = plan.routes.find(r => driver.truckId.equals(r.truckId) && r.status !== 'cancelled')
+    res.json({ planId: plan._id, planStatus: plan.status, generatedFor: plan.generatedFor, route })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,50 @@
+const express = require('express')
+const router = express.Router()
+const Facility = require('../models/Facility')
+const { authenticate, requireRole } = require('./auth')
+const { withLocation } = require('../models/schemas/point')
+
+// GET /api/facilities - list disposal and transfer sites
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const facilities = await Facility.find().sort({ name: 1 })
+    res.json(facilities)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/facilities - body: { name, type, lat, lng, acceptedStreams, openingHours, unloadMin }
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const facility = new Facility(withLocation(req.body))
+    await facility.save()
+    res.status(201).json(facility)
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// PUT /api/facilities/:id - update facility
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const facility = await Facility.findByIdAndUpdate(req.params.id, withLocation(req.body), { new: true, runValidators: true })
+    if (!facility) return res.status(404).json({ error: 'Facility not found' })
+    res.json(facility)
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// DELETE /api/facilities/:id - delete facility
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const facility = await Facility.findByIdAndDelete(req.params.id)
+    if (!facility) return res.status(404).json({ error: 'Facility not found' })
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
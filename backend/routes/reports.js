@@ -3,10 +3,11 @@ const router = express.Router()
 const Report = require('../models/Report')
 const RoutePlan = require('../models/RoutePlan')
 const Bin = require('../models/Bin')
-const { authenticate } = require('./auth')
+const ReadingHistory = require('../services/readings')
+const { authenticate, requireRole } = require('./auth')
 
 // GET /api/reports - list reports
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const reports = await Report.find().sort({ createdAt: -1 })
     res.json(reports)
@@ -16,7 +17,7 @@ router.get('/', authenticate, async (req, res) => {
 })
 
 // POST /api/reports/generate - generate a report
-router.post('/generate', authenticate, async (req, res) => {
+router.post('/generate', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { type, startDate, endDate } = req.body
     const start = new Date(startDate)
@@ -57,6 +58,7 @@ router.post('/generate', authenticate, async (req, res) => {
       }).populate('routes.truckId')
 
       const bins = await Bin.find()
+      const overflowHours = await ReadingHistory.overflowHours(start, end)
 
       reportData = {
         totalCollections: routePlans.filter(p => p.dispatchedAt).length,
@@ -65,10 +67,10 @@ router.post('/generate', authenticate, async (req, res) => {
         truckUtilization: [], // Would need more complex aggregation
         binPerformance: bins.map(b => ({
           sensorId: b.sensorId,
-          location: b.location,
-          averageFillRate: b.historicalAvgFill,
+          location: b.location ? { lat: b.location.coordinates[1], lng: b.location.coordinates[0] } : undefined,
+          averageFillRate: b.fillRatePerHour, // % per hour, learned from readings
           collectionFrequency: 1, // Simplified
-          overflowIncidents: b.fillLevel > 90 ? 1 : 0
+          overflowIncidents: overflowHours.get(b.sensorId) || 0 // hours spent at 100%
         }))
       }
     }
@@ -87,7 +89,7 @@ router.post('/generate', authenticate, async (req, res) => {
 })
 
 // GET /api/reports/:id - get specific report
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
     if (!report) return res.status(404).json({ error: 'Report not found' })
@@ -1,13 +1,23 @@
 const express = require('express')
+const mongoose = require('mongoose')
 const router = express.Router()
 const Bin = require('../models/Bin')
 const RoutePlan = require('../models/RoutePlan')
 const Truck = require('../models/Truck')
+const Depot = require('../models/Depot')
+const LegacyRoute = require('../models/LegacyRoute')
+const Facility = require('../models/Facility')
+const User = require('../models/User')
 const RouteOptimizer = require('../services/optimizer')
-const { authenticate } = require('./auth')
+const FillForecaster = require('../services/forecast')
+const FillThresholds = require('../services/thresholds')
+const LocalSearch = require('../services/localSearch')
+const PlanLifecycle = require('../services/planLifecycle')
+const StopPhotos = require('../services/stopPhotos')
+const { authenticate, requireRole } = require('./auth')
 
 // GET /api/routeplans - list
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const plans = await RoutePlan.find().sort({ createdAt: -1 }).populate('routes.truckId')
     res.json(plans)
@@ -16,34 +26,74 @@ router.get('/', authenticate, async (req, res) => {
   }
 })
 
-// POST /api/routeplans/generate - generate a plan. body: { mode: 'real-time'|'predictive' }
-router.post('/generate', authenticate, async (req, res) => {
+// POST /api/routeplans/generate - generate a plan
+// body: { mode: 'real-time'|'predictive', targetDate?, objective?, sensorIds?, maxIterations?, timeLimitMs? }
+// Predictive plans are generated for targetDate (default: tomorrow) from forecast fill levels.
+// objective: 'distance' (default) or 'balance-time' / 'balance-stops' to even out trucks' workloads.
+// sensorIds limits the plan to those bins, e.g. a second wave for a plan's unassigned bins.
+// maxIterations and timeLimitMs are positive integers, clamped to the optimizer's caps
+router.post('/generate', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { mode } = req.body
+    const { mode, targetDate, objective = 'distance', sensorIds, maxIterations, timeLimitMs } = req.body
+    if (!RouteOptimizer.objectives.includes(objective)) {
+      return res.status(400).json({ error: `objective must be one of ${RouteOptimizer.objectives.join(', ')}` })
+    }
+    const budgetError = LocalSearch.budgetError({ maxIterations, timeLimitMs })
+    if (budgetError) return res.status(400).json({ error: budgetError })
 
-    // Get bins and trucks
-    const bins = await Bin.find()
+    // Get bins, trucks and the depots their routes start and end at
+    const bins = await Bin.find(Array.isArray(sensorIds) ? { sensorId: { $in: sensorIds } } : {})
     const trucks = await Truck.find({ status: 'Active' })
+    const depots = await Depot.find({ active: true })
+    const facilities = await Facility.find({ active: true })
 
     if (trucks.length === 0) {
       return res.status(400).json({ error: 'No active trucks available' })
     }
+    if (depots.length === 0) {
+      return res.status(400).json({ error: 'No depots configured' })
+    }
 
-    // Filter bins based on mode
+    // Filter bins based on mode, against each bin's Full threshold
+    await FillThresholds.current()
     let filteredBins = []
+    let generatedFor = new Date()
     if (mode === 'real-time') {
-      filteredBins = bins.filter(b => b.fillLevel > 70)
+      filteredBins = bins.filter(b => FillThresholds.needsCollection(b))
     } else {
-      // Predictive: use historical averages or current fill levels
-      filteredBins = bins.filter(b => b.historicalAvgFill > 60 || b.fillLevel > 50)
+      // Predictive: route bins forecast to be past the threshold on the target date
+      generatedFor = targetDate ? new Date(targetDate) : new Date(Date.now() + 24 * 60 * 60 * 1000)
+      if (isNaN(generatedFor)) return res.status(400).json({ error: 'Invalid targetDate' })
+      const horizon = Date.now() + FillForecaster.horizonDays * 24 * 60 * 60 * 1000
+      if (generatedFor < Date.now() || generatedFor > horizon) {
+        return res.status(400).json({ error: `targetDate must be within the next ${FillForecaster.horizonDays} days` })
+      }
+      filteredBins = bins
+        .map(b => ({ ...b.toObject(), fillLevel: FillForecaster.predictFill(b, generatedFor) }))
+        .filter(b => FillThresholds.needsCollection(b))
     }
 
     if (filteredBins.length === 0) {
       return res.status(400).json({ error: 'No bins require collection' })
     }
 
-    // Optimize routes
-    const routes = RouteOptimizer.optimizeMultiRoute(filteredBins, trucks, 'Kilinochchi Town')
+    // Distances are computed from coordinates, so every bin must be located
+    const unlocated = filteredBins.filter(b => !RouteOptimizer.toLatLng(b))
+    if (unlocated.length > 0) {
+      return res.status(400).json({
+        error: `Bins missing coordinates: ${unlocated.map(b => b.sensorId).join(', ')}`
+      })
+    }
+
+    // Optimize separate routes per waste stream, within each truck's capacity, shift
+    // and the bins' service windows
+    const { routes, unassignedBins, improvement } = RouteOptimizer.optimizeByStream(filteredBins, trucks, depots, {
+      date: generatedFor,
+      facilities,
+      objective,
+      maxIterations,
+      timeLimitMs
+    })
 
     // Sanitize routes to prevent NaN values
     const sanitizedRoutes = routes.map(route => ({
@@ -56,19 +106,40 @@ router.post('/generate', authenticate, async (req, res) => {
       estimatedTimeMin: isNaN(route.estimatedTimeMin) ? 0 : route.estimatedTimeMin
     }))
 
-    // Calculate efficiency
-    const efficiency = RouteOptimizer.calculateEfficiency(sanitizedRoutes)
-
-    const sanitizedEfficiency = {
-      timeSaved: isNaN(efficiency.timeSaved) ? 0 : efficiency.timeSaved,
-      distanceSaved: isNaN(efficiency.distanceSaved) ? 0 : efficiency.distanceSaved,
-      fuelSaved: isNaN(efficiency.fuelSaved) ? 0 : efficiency.fuelSaved
+    // Calculate efficiency against the legacy schedule for today, or the unoptimized order.
+    // Legacy rounds cover every bin, so a plan for selected bins uses the unoptimized order.
+    const legacyRoutes = Array.isArray(sensorIds) ? [] : await LegacyRoute.find({ active: true, daysOfWeek: generatedFor.getDay() })
+    let baseline
+    if (legacyRoutes.length > 0) {
+      const binsBySensor = new Map(bins.map(b => [b.sensorId, b]))
+      baseline = {
+        source: 'legacy-schedule',
+        // Legacy rounds ran from the depot nearest their first bin
+        routes: legacyRoutes.map(l => {
+          const roundBins = l.binSensorIds.map(id => binsBySensor.get(id)).filter(b => b && RouteOptimizer.toLatLng(b))
+          return { start: roundBins.length ? RouteOptimizer.nearest(roundBins[0], depots) : depots[0], bins: roundBins }
+        })
+      }
+    } else {
+      baseline = {
+        source: 'unoptimized-order',
+        routes: RouteOptimizer.unoptimizedRoutes(sanitizedRoutes, trucks, filteredBins, depots)
+      }
     }
+    const efficiency = RouteOptimizer.calculateEfficiency(sanitizedRoutes, baseline, { facilities, date: generatedFor })
+
+    const balance = RouteOptimizer.workloadSpread(sanitizedRoutes, objective === 'balance-stops' ? 'stops' : 'time')
 
     const plan = new RoutePlan({
       mode,
+      generatedFor,
       routes: sanitizedRoutes,
-      efficiency: sanitizedEfficiency
+      unassignedBins,
+      objective,
+      balance,
+      improvement,
+      efficiency,
+      history: [{ to: 'draft', by: req.user.id, byName: req.user.username, note: `Generated (${mode})` }]
     })
 
     await plan.save()
@@ -82,26 +153,120 @@ router.post('/generate', authenticate, async (req, res) => {
   }
 })
 
-// POST /api/routeplans/:id/approve - approve plan
-router.post('/:id/approve', authenticate, async (req, res) => {
+// PUT /api/routeplans/:id/routes - replace a draft plan's routes with manual edits
+// body: { routes: [{ truckId, binSensorIds }] } with bins in visit order; empty routes are dropped.
+// Distances, ETAs and loads are recomputed without re-optimizing; the optimizer's own
+// routes are kept in originalRoutes the first time a plan is edited.
+router.put('/:id/routes', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const plan = await RoutePlan.findByIdAndUpdate(req.params.id, { approved: true }, { new: true })
+    const plan = await RoutePlan.findById(req.params.id)
     if (!plan) return res.status(404).json({ error: 'Plan not found' })
+    if (plan.status !== 'draft') return res.status(409).json({ error: `A ${plan.status} plan cannot be edited` })
+
+    if (!Array.isArray(req.body.routes)) return res.status(400).json({ error: 'routes must be an array' })
+    const edits = req.body.routes.filter(r => r.binSensorIds?.length > 0)
+    if (edits.some(r => !mongoose.isValidObjectId(r.truckId))) return res.status(400).json({ error: 'Every route needs a valid truckId' })
+
+    const sensorIds = edits.flatMap(r => r.binSensorIds)
+    const [trucks, binDocs, depots, facilities] = await Promise.all([
+      Truck.find({ _id: { $in: edits.map(r => r.truckId) } }),
+      Bin.find({ sensorId: { $in: sensorIds } }),
+      Depot.find({ active: true }),
+      Facility.find({ active: true })
+    ])
+    await FillThresholds.current()
+
+    // Predictive plans are measured on the fill levels forecast for their day
+    const withPlanFill = (docs) => (plan.mode === 'predictive'
+      ? docs.map(b => ({ ...b.toObject(), fillLevel: FillForecaster.predictFill(b, plan.generatedFor) }))
+      : docs)
+    const bins = withPlanFill(binDocs)
+    const binsBySensor = new Map(bins.map(b => [b.sensorId, b]))
+
+    const errors = []
+    new Set(sensorIds.filter((id, i) => sensorIds.indexOf(id) !== i))
+      .forEach(id => errors.push(`${id} is on more than one route`))
+    sensorIds.filter(id => !binsBySensor.has(id)).forEach(id => errors.push(`Bin ${id} not found`))
+
+    const routes = []
+    edits.forEach((edit, index) => {
+      const truck = trucks.find(t => String(t._id) === String(edit.truckId))
+      if (!truck) return errors.push(`Truck ${edit.truckId} not found`)
+      if (truck.status !== 'Active') return errors.push(`Truck ${truck.plate} is ${truck.status}`)
+      if (edits.findIndex(r => String(r.truckId) === String(edit.truckId)) !== index) {
+        return errors.push(`Truck ${truck.plate} has more than one route`)
+      }
+
+      const routeBins = edit.binSensorIds.map(id => binsBySensor.get(id)).filter(Boolean)
+      const streams = [...new Set(routeBins.map(b => RouteOptimizer.binStream(b)))]
+      if (streams.length > 1) return errors.push(`Route for ${truck.plate} mixes ${streams.join(' and ')} waste`)
+      if (streams.length === 1 && !RouteOptimizer.truckStreams(truck).includes(streams[0])) {
+        return errors.push(`Truck ${truck.plate} does not carry ${streams[0]} waste`)
+      }
+
+      const route = RouteOptimizer.evaluateRoute(truck, routeBins, depots, { date: plan.generatedFor, facilities })
+      if (!route) return errors.push(`The depot of truck ${truck.plate} is closed during its shift`)
+      // Without an unloading trip the whole route has to fit in the body
+      if (route.trips === 0 && route.load > route.capacity) {
+        return errors.push(`Truck ${truck.plate} would carry ${route.load} L, over its ${route.capacity} L capacity`)
+      }
+      routes.push(route)
+    })
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; '), errors })
+
+    // Bins taken off every route join the unassigned list; bins added to a route leave it
+    const routed = new Set(sensorIds)
+    const removedIds = plan.routes.flatMap(r => r.binSensorIds).filter(id => !routed.has(id))
+    const removedBins = withPlanFill(await Bin.find({ sensorId: { $in: removedIds } }))
+
+    if (!plan.originalRoutes?.length) plan.originalRoutes = plan.routes.map(r => r.toObject())
+    plan.unassignedBins = [
+      ...plan.unassignedBins.filter(b => !routed.has(b.sensorId)).map(b => b.toObject()),
+      ...removedBins.map(b => RouteOptimizer.unassignedEntry(b, 'removed'))
+    ]
+    plan.routes = routes
+    plan.efficiency = RouteOptimizer.efficiencyAgainst(plan.efficiency, routes)
+    plan.balance = RouteOptimizer.workloadSpread(routes, plan.balance?.metric || 'time')
+    plan.editedAt = new Date()
+    plan.editedBy = req.user.id
+    PlanLifecycle.record(plan, { from: 'draft', to: 'draft', note: 'Routes edited' }, req.user)
+    await plan.save()
+
+    await plan.populate('routes.truckId')
     res.json(plan)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
-// POST /api/routeplans/:id/dispatch - mock dispatch (sets dispatchedAt)
-router.post('/:id/dispatch', authenticate, async (req, res) => {
+// Move a plan through its lifecycle (see PlanLifecycle); 409 when the move is not allowed
+async function transitionPlan(req, res, status) {
+  const plan = await RoutePlan.findById(req.params.id)
+  if (!plan) return res.status(404).json({ error: 'Plan not found' })
+  const error = PlanLifecycle.planTransitionError(plan, status)
+  if (error) return res.status(409).json({ error })
+
+  PlanLifecycle.transitionPlan(plan, status, req.user, req.body?.note)
+  await plan.save()
+  req.app.get('io').emit('routePlanStatus', { planId: plan._id, status: plan.status })
+  return plan
+}
+
+// POST /api/routeplans/:id/approve - approve a draft plan
+router.post('/:id/approve', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const plan = await RoutePlan.findByIdAndUpdate(req.params.id, { dispatchedAt: new Date() }, { new: true })
-    if (!plan) return res.status(404).json({ error: 'Plan not found' })
+    const plan = await transitionPlan(req, res, 'approved')
+    if (plan) res.json(plan)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
 
-    // Update route statuses
-    plan.routes.forEach(route => route.status = 'dispatched')
-    await plan.save()
+// POST /api/routeplans/:id/dispatch - mock dispatch of an approved plan to the drivers
+router.post('/:id/dispatch', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const plan = await transitionPlan(req, res, 'dispatched')
+    if (!plan) return
 
     // Emit notification to drivers (would integrate with mobile app)
     req.app.get('io').emit('routeDispatched', {
@@ -109,30 +274,139 @@ router.post('/:id/dispatch', authenticate, async (req, res) => {
       routes: plan.routes
     })
 
-    res.json({ success: true, dispatchedAt: plan.dispatchedAt })
+    res.json(plan)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
-// POST /api/routeplans/:id/complete - mark route as completed
-router.post('/:id/complete', authenticate, async (req, res) => {
+// POST /api/routeplans/:id/complete - complete an in-progress plan once every route is done
+router.post('/:id/complete', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const plan = await RoutePlan.findByIdAndUpdate(
-      req.params.id,
-      {
-        completedAt: new Date(),
-        'routes.$[].status': 'completed'
-      },
-      { new: true }
-    )
-    if (!plan) return res.status(404).json({ error: 'Plan not found' })
+    const plan = await transitionPlan(req, res, 'completed')
+    if (plan) res.json(plan)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/routeplans/:id/cancel - cancel an open plan and its open routes
+// body: { note? } reason for the cancellation
+router.post('/:id/cancel', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const plan = await transitionPlan(req, res, 'cancelled')
+    if (plan) res.json(plan)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Load the plan and route of a request, answering 404 when missing and 403 when a
+// driver asks for a route that is not on their truck
+async function routeOf(req, res) {
+  const plan = await RoutePlan.findById(req.params.id)
+  if (!plan) return res.status(404).json({ error: 'Plan not found' })
+  const route = plan.routes.id(req.params.routeId)
+  if (!route) return res.status(404).json({ error: 'Route not found' })
+  if (req.user.role === 'driver') {
+    const driver = await User.findById(req.user.id)
+    if (!driver?.truckId || !driver.truckId.equals(route.truckId)) {
+      return res.status(403).json({ error: 'This route is not assigned to your truck' })
+    }
+  }
+  return { plan, route }
+}
+
+// POST /api/routeplans/:id/routes/:routeId/status - move one route of a dispatched plan
+// body: { status: 'in-progress'|'completed'|'cancelled', note? }; drivers may only start their route
+router.post('/:id/routes/:routeId/status', authenticate, async (req, res) => {
+  try {
+    const found = await routeOf(req, res)
+    if (!found) return
+    const { plan, route } = found
+
+    const { status, note } = req.body
+    if (req.user.role === 'driver' && status !== 'in-progress') {
+      return res.status(403).json({ error: 'Drivers can only start their route' })
+    }
+    const error = PlanLifecycle.routeTransitionError(plan, route, status)
+    if (error) return res.status(409).json({ error })
+
+    PlanLifecycle.transitionRoute(plan, route, status, req.user, note)
+    await plan.save()
+    req.app.get('io').emit('routePlanStatus', { planId: plan._id, status: plan.status, routeId: route._id, routeStatus: route.status })
     res.json(plan)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
+// POST /api/routeplans/:id/routes/:routeId/stops/:stopId - record what the driver did at a bin
+// body: { status: 'serviced'|'partial'|'skipped', skipReason?, observedFillLevel?, weightKg?, note?,
+// photo?, recordedAt? } skipReason is required when skipped; photo is a JPEG, PNG or WebP data URL.
+// recordedAt is when the driver recorded it (defaults to now); offline replays send it, and
+// an outcome older than the stop's current one is refused with 409
+router.post('/:id/routes/:routeId/stops/:stopId', authenticate, async (req, res) => {
+  try {
+    const found = await routeOf(req, res)
+    if (!found) return
+    const { plan, route } = found
+    const stop = route.stops.id(req.params.stopId)
+    if (!stop) return res.status(404).json({ error: 'Stop not found' })
+
+    const { status, skipReason, observedFillLevel, weightKg, note, photo } = req.body
+    const outcome = { status, skipReason, observedFillLevel, weightKg, note }
+    outcome.recordedAt = req.body.recordedAt ? new Date(req.body.recordedAt) : new Date()
+    const error = PlanLifecycle.stopOutcomeError(outcome) || (photo ? StopPhotos.error(photo) : null)
+    if (error) return res.status(400).json({ error })
+    if (PlanLifecycle.isReplay(stop, outcome)) return res.json(plan)
+
+    const conflict = PlanLifecycle.stopError(route, stop) || PlanLifecycle.stopConflictError(stop, outcome)
+    if (conflict) return res.status(409).json({ error: conflict })
+
+    outcome.photoUrl = photo ? await StopPhotos.save(photo) : undefined
+    PlanLifecycle.recordStop(plan, route, stop, outcome, req.user)
+    await plan.save()
+    if (status !== 'skipped') await Bin.updateOne({ sensorId: stop.sensorId }, { lastServicedAt: stop.completedAt })
+
+    const io = req.app.get('io')
+    io.emit('stopRecorded', { planId: plan._id, routeId: route._id, stopId: stop._id, sensorId: stop.sensorId, status })
+    io.emit('routePlanStatus', { planId: plan._id, status: plan.status, routeId: route._id, routeStatus: route.status })
+    res.json(plan)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/routeplans/:id/routes/:routeId/problems - driver reports a problem on a running route
+// body: { kind: 'breakdown'|'road-blocked'|'accident'|'bin-problem'|'other', note?, stopId?, at?, clientId? }
+// at is when it was reported (offline replays); a clientId already stored is not added again
+router.post('/:id/routes/:routeId/problems', authenticate, async (req, res) => {
+  try {
+    const found = await routeOf(req, res)
+    if (!found) return
+    const { plan, route } = found
+    const { kind, note, stopId, at, clientId } = req.body
+    if (clientId && route.problems.some(p => p.clientId === clientId)) return res.status(201).json(plan)
+    if (!['dispatched', 'in-progress'].includes(route.status)) {
+      return res.status(409).json({ error: `Problems cannot be reported on a ${route.status} route` })
+    }
+
+    const stop = stopId ? route.stops.id(stopId) : null
+    if (stopId && !stop) return res.status(404).json({ error: 'Stop not found' })
+    route.problems.push({ kind, note, stopId: stop?._id, sensorId: stop?.sensorId, at, clientId, by: req.user.id, byName: req.user.username })
+    const problem = route.problems[route.problems.length - 1]
+    const error = problem.validateSync()
+    if (error) return res.status(400).json({ error: error.message })
+    await plan.save()
+
+    req.app.get('io').emit('routeProblem', { planId: plan._id, routeId: route._id, truckPlate: route.truckPlate, problem })
+    res.status(201).json(plan)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // GET /api/routeplans/kilinochchi - list routes in Kilinochchi district
 router.get('/kilinochchi', authenticate, async (req, res) => {
   try {
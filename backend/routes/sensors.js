@@ -0,0 +1,56 @@
+const express = require('express')
+const router = express.Router()
+const Bin = require('../models/Bin')
+const SensorKey = require('../models/SensorKey')
+const RejectedReading = require('../models/RejectedReading')
+const SensorAuth = require('../services/sensorAuth')
+const { authenticate, requireRole } = require('./auth')
+
+// GET /api/sensors/rejected - recent refused readings, optionally ?sensorId=
+router.get('/rejected', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const filter = req.query.sensorId ? { sensorId: req.query.sensorId } : {}
+    const rejected = await RejectedReading.find(filter).sort({ receivedAt: -1 }).limit(200)
+    res.json(rejected)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// GET /api/sensors/:sensorId/keys - list a sensor's keys (never the secrets)
+router.get('/:sensorId/keys', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const keys = await SensorKey.find({ sensorId: req.params.sensorId }).sort({ createdAt: -1 })
+    res.json(keys)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/sensors/:sensorId/keys - issue or rotate a key. body: { graceHours? }
+// The returned token is shown once and must be provisioned on the device.
+router.post('/:sensorId/keys', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const bin = await Bin.findOne({ sensorId: req.params.sensorId })
+    if (!bin) return res.status(404).json({ error: 'Sensor not found' })
+
+    const graceHours = Number(req.body?.graceHours) || 0
+    const { key, token } = await SensorAuth.issueKey(bin.sensorId, { graceHours, createdBy: req.user.id })
+    res.status(201).json({ key, token })
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// DELETE /api/sensors/:sensorId/keys/:keyId - revoke a key
+router.delete('/:sensorId/keys/:keyId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const key = await SensorAuth.revokeKey(req.params.sensorId, req.params.keyId)
+    if (!key) return res.status(404).json({ error: 'Key not found' })
+    res.json(key)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,63 @@
+const express = require('express')
+const router = express.Router()
+const Bin = require('../models/Bin')
+const FillThresholds = require('../services/thresholds')
+const FillForecaster = require('../services/forecast')
+const { authenticate, requireRole } = require('./auth')
+
+// Re-derive status and forecast for bins after their thresholds changed
+async function applyThresholds(bins) {
+  await FillThresholds.current()
+  for (const bin of bins) {
+    bin.status = FillThresholds.statusFor(bin.fillLevel, FillThresholds.resolve(bin))
+    bin.forecastFullAt = FillForecaster.predictFullAt(bin)
+    await bin.save()
+  }
+}
+
+// GET /api/settings/thresholds - global defaults and bin type overrides
+router.get('/thresholds', authenticate, async (req, res) => {
+  try {
+    res.json(await FillThresholds.current())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// PUT /api/settings/thresholds - body: { defaults: { half, full, priority }, binTypes: [{ binType, half?, full?, priority? }] }
+router.put('/thresholds', authenticate, requireRole('admin'), async (req, res) => {
+  let config
+  try {
+    config = await FillThresholds.update(req.body, req.user.id)
+  } catch (err) {
+    return res.status(400).json({ error: err.message })
+  }
+  try {
+    await applyThresholds(await Bin.find())
+    res.json(config)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// PUT /api/settings/thresholds/bins/:id - per-bin overrides; body: { half?, full?, priority? }, omit or null to inherit
+router.put('/thresholds/bins/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const bin = await Bin.findById(req.params.id)
+    if (!bin) return res.status(404).json({ error: 'Bin not found' })
+
+    const config = await FillThresholds.current()
+    const inherited = FillThresholds.resolve({ binType: bin.binType }, config)
+    const error = FillThresholds.validate(req.body, inherited)
+    if (error) return res.status(400).json({ error })
+
+    const { half, full, priority } = req.body
+    bin.fillThresholds = { half: half ?? undefined, full: full ?? undefined, priority: priority ?? undefined }
+    await applyThresholds([bin])
+    res.json(bin)
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -1,9 +1,13 @@
 const express = require('express')
 const router = express.Router()
 const Truck = require('../models/Truck')
+const User = require('../models/User')
+const FleetTracking = require('../services/tracking')
+const { authenticate, requireRole } = require('./auth')
+const { pointFromLatLng } = require('../models/schemas/point')
 
 // GET /api/trucks - list all trucks
-router.get('/', async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const trucks = await Truck.find().sort({ createdAt: -1 })
     res.json(trucks)
@@ -12,11 +16,20 @@ router.get('/', async (req, res) => {
   }
 })
 
+// GET /api/trucks/live - active trucks with their latest position, planned route and progress
+router.get('/live', authenticate, async (req, res) => {
+  try {
+    res.json(await FleetTracking.fleet())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // POST /api/trucks - create a new truck
-router.post('/', async (req, res) => {
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { plate, model, capacity, status } = req.body
-    const truck = new Truck({ plate, model, capacity, status })
+    const { plate, model, capacity, status, wasteStreams, depotId } = req.body
+    const truck = new Truck({ plate, model, capacity, status, wasteStreams, depotId })
     await truck.save()
     res.status(201).json(truck)
   } catch (err) {
@@ -25,9 +38,14 @@ router.post('/', async (req, res) => {
 })
 
 // PUT /api/trucks/:id - update truck
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const truck = await Truck.findByIdAndUpdate(req.params.id, req.body, { new: true })
+    const { plate, model, capacity, status, wasteStreams, depotId, driver, currentLocation } = req.body
+    const truck = await Truck.findByIdAndUpdate(
+      req.params.id,
+      { plate, model, capacity, status, wasteStreams, depotId, driver, currentLocation },
+      { new: true, runValidators: true }
+    )
     if (!truck) return res.status(404).json({ error: 'Truck not found' })
     res.json(truck)
   } catch (err) {
@@ -36,7 +54,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/trucks/:id - delete truck
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const truck = await Truck.findByIdAndDelete(req.params.id)
     if (!truck) return res.status(404).json({ error: 'Truck not found' })
@@ -47,13 +65,15 @@ router.delete('/:id', async (req, res) => {
 })
 
 // PUT /api/trucks/:id/location - update truck location (only for active trucks)
-router.put('/:id/location', async (req, res) => {
+// body: { currentLocation, lat?, lng? }
+router.put('/:id/location', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { currentLocation } = req.body
+    const { currentLocation, lat, lng } = req.body
     const truck = await Truck.findById(req.params.id)
     if (!truck) return res.status(404).json({ error: 'Truck not found' })
     if (truck.status !== 'Active') return res.status(400).json({ error: 'Cannot update location for inactive truck' })
     truck.currentLocation = currentLocation
+    if (lat !== undefined && lng !== undefined) truck.location = pointFromLatLng(lat, lng)
     await truck.save()
     res.json(truck)
   } catch (err) {
@@ -61,4 +81,53 @@ router.put('/:id/location', async (req, res) => {
   }
 })
 
+// POST /api/trucks/:id/telemetry - GPS pings from the truck or its driver's phone
+// body: one ping { lat, lng, speedKmh?, heading?, accuracyM?, timestamp? } or { pings: [ping, ...] }
+// for pings buffered while offline; drivers may only send them for their own truck. A truck
+// that dwells at a stop of its running route marks the stop serviced (see StopArrivals).
+router.post('/:id/telemetry', authenticate, async (req, res) => {
+  try {
+    const truck = await Truck.findById(req.params.id)
+    if (!truck) return res.status(404).json({ error: 'Truck not found' })
+    if (req.user.role === 'driver') {
+      const driver = await User.findById(req.user.id)
+      if (!driver?.truckId || !driver.truckId.equals(truck._id)) {
+        return res.status(403).json({ error: 'You can only send positions for your own truck' })
+      }
+    }
+    if (truck.status !== 'Active') return res.status(400).json({ error: 'Cannot track an inactive truck' })
+
+    const pings = Array.isArray(req.body.pings) ? req.body.pings : [req.body]
+    if (pings.length === 0) return res.status(400).json({ error: 'pings must not be empty' })
+    if (pings.length > FleetTracking.maxPingsPerRequest) {
+      return res.status(400).json({ error: `At most ${FleetTracking.maxPingsPerRequest} pings per request` })
+    }
+    for (const [i, ping] of pings.entries()) {
+      const error = FleetTracking.pingError(ping)
+      if (error) return res.status(400).json({ error: pings.length > 1 ? `Ping ${i + 1}: ${error}` : error })
+    }
+
+    const io = req.app.get('io')
+    const entry = await FleetTracking.record(truck, pings, io)
+    io.emit('truckPosition', entry)
+    res.status(201).json(entry)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// GET /api/trucks/:id/positions?from&to - position history, oldest first (default: last 8 hours)
+router.get('/:id/positions', authenticate, async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 8 * 3600 * 1000)
+    if (isNaN(from) || isNaN(to)) return res.status(400).json({ error: 'from and to must be dates' })
+    const truck = await Truck.findById(req.params.id)
+    if (!truck) return res.status(404).json({ error: 'Truck not found' })
+    res.json(await FleetTracking.history(truck._id, from, to))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 module.exports = router
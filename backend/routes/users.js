@@ -0,0 +1,64 @@
+const express = require('express')
+const router = express.Router()
+const User = require('../models/User')
+const { authenticate, requireRole } = require('./auth')
+
+// Driver logins sign in to the mobile driver view and only see their truck's route
+
+// Account fields safe to send back
+const publicUser = ({ _id, username, name, role, truckId, createdAt, updatedAt }) =>
+  ({ _id, username, name, role, truckId, createdAt, updatedAt })
+
+// GET /api/users?role=driver - list user accounts
+router.get('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const filter = req.query.role ? { role: req.query.role } : {}
+    const users = await User.find(filter).select('-password').sort({ username: 1 })
+    res.json(users)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST /api/users - body: { username, password, name, role, truckId }
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, name, role, truckId } = req.body
+    if (role === 'driver' && !truckId) return res.status(400).json({ error: 'Drivers need a truck' })
+    const user = new User({ username, password, name, role, truckId: role === 'driver' ? truckId : undefined })
+    await user.save()
+    res.status(201).json(publicUser(user))
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// PUT /api/users/:id - body: { name?, password?, truckId? }
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    const { name, password, truckId } = req.body
+    if (name) user.name = name
+    if (password) user.password = password // hashed on save
+    if (truckId && user.role === 'driver') user.truckId = truckId
+    await user.save()
+    res.json(publicUser(user))
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
+
+// DELETE /api/users/:id - delete a user account
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) return res.status(400).json({ error: 'You cannot delete your own account' })
+    const user = await User.findByIdAndDelete(req.params.id)
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
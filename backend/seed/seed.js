@@ -5,6 +5,9 @@ const path = require('path')
 const User = require('../models/User')
 const Bin = require('../models/Bin')
 const Truck = require('../models/Truck')
+const Depot = require('../models/Depot')
+const LegacyRoute = require('../models/LegacyRoute')
+const Facility = require('../models/Facility')
 
 async function seedDatabase() {
   try {
@@ -36,13 +39,59 @@ async function seedDatabase() {
       console.log(`Seeded ${binsData.length} bins`)
     }
 
+    // Seed depots
+    const depotsFile = path.join(__dirname, 'depots-seed.json')
+    if (fs.existsSync(depotsFile)) {
+      const depotsData = JSON.parse(fs.readFileSync(depotsFile, 'utf8'))
+      await Depot.deleteMany({})
+      await Depot.insertMany(depotsData)
+      console.log(`Seeded ${depotsData.length} depots`)
+    }
+
     // Seed trucks
     const trucksFile = path.join(__dirname, 'trucks-seed.json')
     if (fs.existsSync(trucksFile)) {
       const trucksData = JSON.parse(fs.readFileSync(trucksFile, 'utf8'))
+      // Trucks name their home depot; link it by id
+      const depots = await Depot.find()
       await Truck.deleteMany({})
-      await Truck.insertMany(trucksData)
+      await Truck.insertMany(trucksData.map(({ depot, ...truck }) => ({
+        ...truck,
+        depotId: depots.find(d => d.name === depot)?._id
+      })))
       console.log(`Seeded ${trucksData.length} trucks`)
+
+      // One driver login per truck, named after its plate
+      const trucks = await Truck.find()
+      await User.deleteMany({ role: 'driver' })
+      for (const truck of trucks) {
+        await new User({
+          username: truck.plate.toLowerCase(),
+          password: 'driver123',
+          name: truck.driver?.name || truck.plate,
+          role: 'driver',
+          truckId: truck._id
+        }).save()
+      }
+      console.log(`Seeded ${trucks.length} driver logins (<plate>/driver123)`)
+    }
+
+    // Seed disposal facilities
+    const facilitiesFile = path.join(__dirname, 'facilities-seed.json')
+    if (fs.existsSync(facilitiesFile)) {
+      const facilitiesData = JSON.parse(fs.readFileSync(facilitiesFile, 'utf8'))
+      await Facility.deleteMany({})
+      await Facility.insertMany(facilitiesData)
+      console.log(`Seeded ${facilitiesData.length} facilities`)
+    }
+
+    // Seed legacy schedule routes (efficiency baseline)
+    const legacyFile = path.join(__dirname, 'legacy-routes-seed.json')
+    if (fs.existsSync(legacyFile)) {
+      const legacyData = JSON.parse(fs.readFileSync(legacyFile, 'utf8'))
+      await LegacyRoute.deleteMany({})
+      await LegacyRoute.insertMany(legacyData)
+      console.log(`Seeded ${legacyData.length} legacy routes`)
     }
 
     console.log('Database seeded successfully!')
@@ -1,9 +1,14 @@
 require('dotenv').config()
+const path = require('path')
 const express = require('express')
 const mongoose = require('mongoose')
 const cors = require('cors')
 const { createServer } = require('http')
 const { Server } = require('socket.io')
+const ReadingHistory = require('./services/readings')
+const MqttGateway = require('./services/mqttGateway')
+const SensorHealth = require('./services/sensorHealth')
+const Migrations = require('./services/migrations')
 
 const app = express()
 const server = createServer(app)
@@ -14,7 +19,9 @@ const io = new Server(server, {
   }
 })
 
-app.use(express.json())
+// Stop outcomes may carry a proof-of-service photo
+app.use('/api/routeplans/:id/routes/:routeId/stops', express.json({ limit: '8mb' }))
+app.use(express.json({ limit: '1mb' }))
 app.use(cors())
 
 // Mount routes
@@ -30,6 +37,20 @@ const collectionsRouter = require('./routes/collections')
 app.use('/api/collections', collectionsRouter)
 const reportsRouter = require('./routes/reports')
 app.use('/api/reports', reportsRouter)
+const sensorsRouter = require('./routes/sensors')
+app.use('/api/sensors', sensorsRouter)
+const settingsRouter = require('./routes/settings')
+app.use('/api/settings', settingsRouter)
+const facilitiesRouter = require('./routes/facilities')
+app.use('/api/facilities', facilitiesRouter)
+const depotsRouter = require('./routes/depots')
+app.use('/api/depots', depotsRouter)
+const usersRouter = require('./routes/users')
+app.use('/api/users', usersRouter)
+const driverRouter = require('./routes/driver')
+app.use('/api/driver', driverRouter)
+
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')))
 
 // Default route
 app.get('/', (req, res) => res.send('Hello, Node.js Backend is running!'))
@@ -51,8 +72,15 @@ const PORT = process.env.PORT || 5000
 const MONGO = process.env.MONGO_URI || 'mongodb://localhost:27017/route_opt'
 
 mongoose.connect(MONGO, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB')
+    await Migrations.run().catch((err) => console.error('Data migration failed', err))
+    ReadingHistory.start()
+    SensorHealth.start({ io })
+    if (MqttGateway.url) {
+      MqttGateway.start({ io })
+        .catch((err) => console.error('Failed to start MQTT gateway', err))
+    }
     server.listen(PORT, () => console.log(`Server started on http://localhost:${PORT}`))
   })
   .catch((err) => {
@@ -0,0 +1,116 @@
+// Stop arrival detection for drivers who forget to record their stops: a truck that stays
+// within a bin stop's geofence is taken to have serviced it until the driver records the
+// stop themselves, and a fill level drop reported by the bin's sensor soon after a visit
+// confirms the collection.
+
+const Bin = require('../models/Bin')
+const RoutePlan = require('../models/RoutePlan')
+const PlanLifecycle = require('./planLifecycle')
+const RouteOptimizer = require('./optimizer')
+
+// Shown as who moved the route in the plan history
+const DETECTOR = { username: 'auto-detect' }
+
+class StopArrivals {
+  // A truck within radiusM of a stop for dwellSec has serviced it
+  static radiusM = parseFloat(process.env.GEOFENCE_RADIUS_M) || 50
+  static dwellSec = parseFloat(process.env.GEOFENCE_DWELL_SEC) || 60
+
+  // A sensor reading up to confirmWindowMin after a visit whose fill level is at least
+  // minFillDropPct points below the previous reading confirms the collection
+  static confirmWindowMin = parseFloat(process.env.COLLECTION_CONFIRM_WINDOW_MIN) || 120
+  static minFillDropPct = parseFloat(process.env.COLLECTION_FILL_DROP_PCT) || 30
+
+  static isWithin(position, point) {
+    return RouteOptimizer.haversine(position, point) * 1000 <= this.radiusM
+  }
+
+  // Follow the truck's pings [{ lat, lng, timestamp }] (oldest first, all after previous, its
+  // last known position) through the geofences of the route's pending bin stops; path is
+  // FleetTracking.routePath(route). A stop's arrivedAt is when the truck last entered its
+  // geofence, and the stop is marked serviced once the truck has stayed dwellSec.
+  // Returns the stops marked serviced.
+  static track(plan, route, path, pings, previous) {
+    const serviced = []
+    const fences = path
+      .filter(point => point.kind === 'bin')
+      .map(point => ({ point, stop: route.stops.id(point.stopId) }))
+      .filter(({ stop }) => stop && PlanLifecycle.isPending(stop))
+
+    for (const { point, stop } of fences) {
+      let wasInside = Boolean(previous) && this.isWithin(previous, point)
+      for (const ping of pings) {
+        const inside = this.isWithin(ping, point)
+        if (inside && (!wasInside || !stop.arrivedAt)) stop.arrivedAt = ping.timestamp
+        wasInside = inside
+        if (!inside || ping.timestamp - stop.arrivedAt < this.dwellSec * 1000) continue
+        // The route may have been completed by an earlier stop of these pings
+        if (!PlanLifecycle.stopError(route, stop)) {
+          PlanLifecycle.recordStop(plan, route, stop, { status: 'serviced', recordedAt: ping.timestamp }, DETECTOR, 'geofence')
+          serviced.push(stop)
+        }
+        break
+      }
+    }
+    return serviced
+  }
+
+  // Confirm the collection of the visit to reading's bin from the sensor's fill level drop.
+  // A stop the truck reached but was never recorded is marked serviced as well.
+  static async confirmCollection({ sensorId, fillLevel, timestamp }, previousFillLevel, io) {
+    if (!Number.isFinite(previousFillLevel) || previousFillLevel - fillLevel < this.minFillDropPct) return null
+
+    const since = new Date(timestamp.getTime() - this.confirmWindowMin * 60 * 1000)
+    const visited = (at) => Boolean(at) && at >= since && at <= timestamp
+    const isCandidate = (stop) => stop.sensorId === sensorId && !stop.sensorConfirmedAt &&
+      stop.status !== 'skipped' && (visited(stop.arrivedAt) || visited(stop.completedAt))
+
+    const plan = await RoutePlan.findOne({
+      status: { $in: ['dispatched', 'in-progress', 'completed'] },
+      'routes.stops': {
+        $elemMatch: {
+          sensorId,
+          sensorConfirmedAt: null,
+          status: { $ne: 'skipped' },
+          $or: [{ arrivedAt: { $gte: since, $lte: timestamp } }, { completedAt: { $gte: since, $lte: timestamp } }]
+        }
+      }
+    }).sort({ dispatchedAt: -1 })
+    if (!plan) return null
+
+    const route = plan.routes.find(r => r.stops.some(isCandidate))
+    const stop = route.stops.find(isCandidate)
+    stop.sensorConfirmedAt = timestamp
+    stop.sensorFillBefore = previousFillLevel
+    stop.sensorFillAfter = fillLevel
+    const serviced = PlanLifecycle.isPending(stop) && !PlanLifecycle.stopError(route, stop)
+    if (serviced) {
+      PlanLifecycle.recordStop(plan, route, stop, { status: 'serviced', recordedAt: timestamp }, DETECTOR, 'sensor')
+    }
+    await plan.save()
+
+    io?.emit('collectionConfirmed', { planId: plan._id, routeId: route._id, stopId: stop._id, sensorId, fillBefore: previousFillLevel, fillAfter: fillLevel })
+    if (serviced) await this.announce(plan, route, [stop], io)
+    return stop
+  }
+
+  // Record the service on the bins and push the automatically serviced stops to dashboards
+  static async announce(plan, route, stops, io) {
+    for (const stop of stops) {
+      await Bin.updateOne({ sensorId: stop.sensorId }, { lastServicedAt: stop.completedAt })
+      io?.emit('stopRecorded', {
+        planId: plan._id,
+        routeId: route._id,
+        stopId: stop._id,
+        sensorId: stop.sensorId,
+        status: stop.status,
+        autoDetected: stop.autoDetected
+      })
+    }
+    if (stops.length > 0) {
+      io?.emit('routePlanStatus', { planId: plan._id, status: plan.status, routeId: route._id, routeStatus: route.status })
+    }
+  }
+}
+
+module.exports = StopArrivals
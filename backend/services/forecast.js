@@ -0,0 +1,108 @@
+// Fill-level forecasting from each bin's reading history
+// Learns a fill rate (% per hour) overall and per day of week, then projects
+// the current fill level forward to find when the bin's Full threshold is crossed.
+
+const ReadingHistory = require('./readings')
+const FillThresholds = require('./thresholds')
+
+const HOUR_MS = 60 * 60 * 1000
+
+class FillForecaster {
+  // How much history to learn from
+  static lookbackDays = 28
+
+  // Hours of observation a weekday needs before its own rate is trusted
+  static minHoursPerDay = 6
+
+  // How far ahead to look for the threshold crossing
+  static horizonDays = 14
+
+  // Learn fill rates from readings sorted by timestamp.
+  // Drops in fill level are collections and are skipped rather than counted as negative rates.
+  static learnRates(readings) {
+    const hoursByDay = Array(7).fill(0)
+    const riseByDay = Array(7).fill(0)
+
+    for (let i = 1; i < readings.length; i++) {
+      const prev = readings[i - 1]
+      const cur = readings[i]
+      const hours = (cur.timestamp - prev.timestamp) / HOUR_MS
+      const rise = cur.fillLevel - prev.fillLevel
+      if (hours <= 0 || rise < 0) continue
+
+      const day = new Date(prev.timestamp).getDay()
+      hoursByDay[day] += hours
+      riseByDay[day] += rise
+    }
+
+    const totalHours = hoursByDay.reduce((sum, h) => sum + h, 0)
+    const totalRise = riseByDay.reduce((sum, r) => sum + r, 0)
+    const ratePerHour = totalHours > 0 ? totalRise / totalHours : 0
+
+    return {
+      ratePerHour,
+      ratePerHourByDay: hoursByDay.map((hours, day) =>
+        hours >= this.minHoursPerDay ? riseByDay[day] / hours : ratePerHour),
+      observedHours: totalHours
+    }
+  }
+
+  // Hourly rates for each day of week, falling back to the overall rate
+  static ratesFor(bin) {
+    if (bin.fillRateByDay && bin.fillRateByDay.length === 7) return bin.fillRateByDay
+    return Array(7).fill(bin.fillRatePerHour || 0)
+  }
+
+  // Project the fill level forward from the last reading, a day at a time at that weekday's rate.
+  // Stops at `until` (a Date) or, when stopAtThreshold is set, at the threshold crossing.
+  static project(bin, until, { threshold = FillThresholds.resolve(bin).full, stopAtThreshold = false } = {}) {
+    const rates = this.ratesFor(bin)
+    let fill = bin.fillLevel
+    let time = new Date(bin.lastSeenAt || Date.now()).getTime()
+    let fullAt = fill >= threshold ? new Date(time) : null
+    const end = until.getTime()
+
+    while (time < end && fill < 100 && !(stopAtThreshold && fullAt)) {
+      const midnight = new Date(time)
+      midnight.setHours(24, 0, 0, 0)
+      const segmentEnd = Math.min(midnight.getTime(), end)
+      const rate = rates[new Date(time).getDay()]
+      const rise = rate * (segmentEnd - time) / HOUR_MS
+      if (!fullAt && rate > 0 && fill + rise >= threshold) fullAt = new Date(time + (threshold - fill) / rate * HOUR_MS)
+      fill = Math.min(100, fill + rise)
+      time = segmentEnd
+    }
+
+    return { fillLevel: Math.round(fill * 10) / 10, fullAt }
+  }
+
+  // Predicted fill level on a target date
+  static predictFill(bin, targetDate) {
+    return this.project(bin, targetDate).fillLevel
+  }
+
+  // When the bin is forecast to reach the threshold (null if not within the horizon)
+  static predictFullAt(bin, threshold = FillThresholds.resolve(bin).full) {
+    const horizon = new Date(Date.now() + this.horizonDays * 24 * HOUR_MS)
+    return this.project(bin, horizon, { threshold, stopAtThreshold: true }).fullAt
+  }
+
+  // Re-learn a bin's rates from its recent readings and store the forecast on it
+  static async refresh(bin) {
+    const since = new Date(Date.now() - this.lookbackDays * 24 * HOUR_MS)
+    const readings = await ReadingHistory.series(bin.sensorId, { from: since })
+
+    const { ratePerHour, ratePerHourByDay } = this.learnRates(readings)
+    bin.fillRatePerHour = ratePerHour
+    bin.fillRateByDay = ratePerHourByDay
+    if (readings.length > 0) {
+      bin.historicalAvgFill = Math.round(readings.reduce((sum, r) => sum + r.fillLevel, 0) / readings.length)
+    }
+    await FillThresholds.current()
+    bin.forecastFullAt = this.predictFullAt(bin)
+    await bin.save()
+    return bin
+  }
+}
+
+module.exports = FillForecaster
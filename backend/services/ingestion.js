@@ -0,0 +1,167 @@
+// Sensor reading ingestion shared by the HTTP report endpoints and the MQTT gateway:
+// derive the bin status from its fill thresholds, keep the reading history,
+// refresh the forecast and push the update.
+
+const Bin = require('../models/Bin')
+const ProcessedReading = require('../models/ProcessedReading')
+const ReadingHistory = require('./readings')
+const FillForecaster = require('./forecast')
+const SensorAuth = require('./sensorAuth')
+const FillThresholds = require('./thresholds')
+const StopArrivals = require('./arrivals')
+
+const DUPLICATE_KEY = 11000
+
+class SensorIngestion {
+  // Largest batch accepted in one request
+  static maxBatchSize = parseInt(process.env.SENSOR_BATCH_LIMIT) || 1000
+
+  // Tolerated device clock drift before a reading counts as from the future
+  static maxClockSkewMs = 5 * 60 * 1000
+
+  // Store one reading and update the bin unless it already holds a newer reading.
+  // Resolves to { status: 'applied' | 'stale' | 'not-found', bin, previousFillLevel }; the caller
+  // refreshes the forecast and checks for a collection (see confirmCollection).
+  static async apply({ sensorId, fillLevel, battery, temperature, timestamp = new Date() }) {
+    const config = await FillThresholds.current()
+    const current = await Bin.findOne({ sensorId })
+    if (!current) return { status: 'not-found' }
+
+    const status = FillThresholds.statusFor(fillLevel, FillThresholds.resolve(current, config))
+    const updated = await Bin.findOneAndUpdate(
+      { _id: current._id, $or: [{ lastSeenAt: null }, { lastSeenAt: { $lte: timestamp } }] },
+      { fillLevel, status, lastSeenAt: timestamp },
+      { new: true }
+    )
+    const bin = updated || current
+
+    await ReadingHistory.record({ sensorId, fillLevel, battery, temperature, timestamp })
+    return { status: updated ? 'applied' : 'stale', bin, previousFillLevel: current.fillLevel }
+  }
+
+  // A fill level drop right after a truck visited the bin confirms the collection
+  // (the reading itself is stored either way)
+  static async confirmCollection(reading, applied, io) {
+    if (applied.status !== 'applied') return
+    try {
+      await StopArrivals.confirmCollection(reading, applied.previousFillLevel, io)
+    } catch (err) {
+      console.error(`Collection check failed for ${reading.sensorId}`, err)
+    }
+  }
+
+  // Apply one live reading; resolves to the updated bin, or null if no bin has this sensorId
+  static async ingest({ sensorId, fillLevel, battery, temperature }, io) {
+    const reading = { sensorId, fillLevel, battery, temperature, timestamp: new Date() }
+    const result = await this.apply(reading)
+    if (result.status === 'not-found') return null
+    await this.confirmCollection(reading, result, io)
+    // Re-learn the fill rate forecast and emit real-time update
+    const bin = await FillForecaster.refresh(result.bin)
+    io?.emit('binUpdate', bin)
+    return bin
+  }
+
+  // Check a buffered reading before it is authorised; returns an error message or null
+  static validate(reading) {
+    if (!reading || typeof reading.sensorId !== 'string' || !reading.sensorId) return 'sensorId is required'
+    if (!Number.isFinite(reading.fillLevel)) return 'fillLevel must be a number'
+    if (reading.readingId !== undefined && typeof reading.readingId !== 'string') return 'readingId must be a string'
+    if (reading.key !== undefined && typeof reading.key !== 'string') return 'key must be a string'
+    const timestamp = new Date(reading.timestamp)
+    if (!reading.timestamp || isNaN(timestamp)) return 'timestamp must be a valid date'
+    if (timestamp.getTime() > Date.now() + this.maxClockSkewMs) return 'timestamp is in the future'
+    return null
+  }
+
+  // Record a reading id; resolves to false if it was already processed
+  static async markProcessed(sensorId, readingId) {
+    try {
+      await ProcessedReading.create({ sensorId, readingId })
+      return true
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) return false
+      throw err
+    }
+  }
+
+  // Apply buffered readings [{ readingId?, sensorId, fillLevel, timestamp, battery?, temperature?, key? }]
+  // oldest first. Each reading is authorised with its own key or the request's key.
+  // Resolves to per-item results in input order:
+  // { index, readingId, sensorId, status: applied | stale | duplicate | not-found | rejected | invalid | error, error? }
+  // An item that fails with error can be sent again with the same readingId.
+  static async ingestBatch(readings, { key, ip, source = 'http', io } = {}) {
+    const results = new Array(readings.length)
+    const pending = []
+    readings.forEach((reading, index) => {
+      const error = this.validate(reading)
+      if (error) {
+        results[index] = { index, readingId: reading?.readingId, sensorId: reading?.sensorId, status: 'invalid', error }
+      } else {
+        pending.push({ index, reading: { ...reading, timestamp: new Date(reading.timestamp) } })
+      }
+    })
+    pending.sort((a, b) => a.reading.timestamp - b.reading.timestamp)
+
+    const verified = new Map()
+    const touched = new Set()
+    for (const { index, reading } of pending) {
+      const { readingId, sensorId } = reading
+      const result = { index, readingId, sensorId }
+      results[index] = result
+      let marked = false
+      try {
+        const token = reading.key || key
+        const cacheKey = `${token}|${sensorId}`
+        if (!verified.has(cacheKey)) verified.set(cacheKey, await SensorAuth.verify(token, sensorId))
+        const auth = verified.get(cacheKey)
+        if (auth.reason) {
+          const { key: _key, ...payload } = reading
+          await SensorAuth.reject({ sensorId, keyId: auth.keyId, reason: auth.reason, source, ip, payload })
+          result.status = 'rejected'
+          result.error = `Sensor key rejected: ${auth.reason}`
+          continue
+        }
+
+        if (readingId) {
+          marked = await this.markProcessed(sensorId, readingId)
+          if (!marked) {
+            result.status = 'duplicate'
+            continue
+          }
+        }
+
+        const applied = await this.apply(reading)
+        result.status = applied.status
+        if (applied.status === 'not-found') {
+          // Let the reading through again once the bin is registered
+          if (marked) await ProcessedReading.deleteOne({ sensorId, readingId }).catch(() => {})
+          result.error = 'Bin not found'
+          continue
+        }
+        touched.add(sensorId)
+        await this.confirmCollection(reading, applied, io)
+      } catch (err) {
+        // Forget the reading id so the gateway's retry is applied rather than dropped; the
+        // other readings of the batch go on
+        if (marked && !result.status) await ProcessedReading.deleteOne({ sensorId, readingId }).catch(() => {})
+        result.status = 'error'
+        result.error = err.message
+      }
+    }
+
+    // Re-learn the forecast and notify once per bin, from its newest state
+    // (the readings are stored already, so a failure here does not fail them)
+    for (const sensorId of touched) {
+      try {
+        const bin = await FillForecaster.refresh(await Bin.findOne({ sensorId }))
+        io?.emit('binUpdate', bin)
+      } catch (err) {
+        console.error(`Forecast refresh failed for ${sensorId}`, err)
+      }
+    }
+    return results
+  }
+}
+
+module.exports = SensorIngestion
@@ -0,0 +1,241 @@
+// Local search improvement for constructed routes
+// Intra-route: 2-opt and Or-opt. Inter-route: relocate and swap between trucks.
+// Moves are first-improvement on a per-route cost (distance, plus any schedule
+// penalty) and stop when the iteration/time budget runs out.
+
+const EPSILON = 1e-9
+
+class LocalSearch {
+  // Default budget, overridable per call
+  static maxIterations = parseInt(process.env.OPTIMIZER_MAX_ITERATIONS) || 1000
+  static timeLimitMs = parseInt(process.env.OPTIMIZER_TIME_LIMIT_MS) || 2000
+
+  // Most a caller may ask for: the search runs synchronously and blocks the server meanwhile
+  static maxIterationsCap = parseInt(process.env.OPTIMIZER_MAX_ITERATIONS_CAP) || 20000
+  static timeLimitMsCap = parseInt(process.env.OPTIMIZER_TIME_LIMIT_MS_CAP) || 10000
+
+  static isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0
+  }
+
+  // Why a requested { maxIterations?, timeLimitMs? } budget is invalid, or null
+  static budgetError({ maxIterations, timeLimitMs } = {}) {
+    if (maxIterations !== undefined && maxIterations !== null && !this.isPositiveInteger(maxIterations)) {
+      return 'maxIterations must be a positive integer'
+    }
+    if (timeLimitMs !== undefined && timeLimitMs !== null && !this.isPositiveInteger(timeLimitMs)) {
+      return 'timeLimitMs must be a positive integer'
+    }
+    return null
+  }
+
+  // Requested limits are clamped to the caps; anything invalid falls back to the defaults
+  static createBudget(options = {}) {
+    const limit = (value, fallback, cap) => Math.min(this.isPositiveInteger(value) ? value : fallback, cap)
+    return {
+      iterations: 0,
+      maxIterations: limit(options.maxIterations, this.maxIterations, this.maxIterationsCap),
+      deadline: Date.now() + limit(options.timeLimitMs, this.timeLimitMs, this.timeLimitMsCap)
+    }
+  }
+
+  static exhausted(budget) {
+    return budget.iterations >= budget.maxIterations || Date.now() >= budget.deadline
+  }
+
+  // Closed tour length: start -> tour... -> start
+  static tourDistance(start, tour, distance) {
+    if (tour.length === 0) return 0
+    let total = distance(start, tour[0])
+    for (let i = 1; i < tour.length; i++) total += distance(tour[i - 1], tour[i])
+    return total + distance(tour[tour.length - 1], start)
+  }
+
+  // Reverse a segment whenever that lowers the tour cost
+  static twoOpt(tour, cost, budget) {
+    let current = [...tour]
+    let currentCost = cost(current)
+    let improved = false
+    let changed = true
+
+    while (changed && !this.exhausted(budget)) {
+      changed = false
+      for (let i = 0; i < current.length - 1 && !changed; i++) {
+        for (let j = i + 1; j < current.length; j++) {
+          const candidate = [...current.slice(0, i), ...current.slice(i, j + 1).reverse(), ...current.slice(j + 1)]
+          const candidateCost = cost(candidate)
+          if (candidateCost < currentCost - EPSILON) {
+            current = candidate
+            currentCost = candidateCost
+            budget.iterations++
+            changed = improved = true
+            break
+          }
+        }
+      }
+    }
+
+    return { tour: current, improved }
+  }
+
+  // Move chains of 1-3 consecutive stops to a better position in the same tour
+  static orOpt(tour, cost, budget) {
+    let current = [...tour]
+    let currentCost = cost(current)
+    let improved = false
+    let changed = true
+
+    while (changed && !this.exhausted(budget)) {
+      changed = false
+      for (let length = 1; length <= 3 && !changed; length++) {
+        for (let i = 0; i + length <= current.length && !changed; i++) {
+          const segment = current.slice(i, i + length)
+          const rest = [...current.slice(0, i), ...current.slice(i + length)]
+          for (let k = 0; k <= rest.length; k++) {
+            if (k === i) continue
+            const candidate = [...rest.slice(0, k), ...segment, ...rest.slice(k)]
+            const candidateCost = cost(candidate)
+            if (candidateCost < currentCost - EPSILON) {
+              current = candidate
+              currentCost = candidateCost
+              budget.iterations++
+              changed = improved = true
+              break
+            }
+          }
+        }
+      }
+    }
+
+    return { tour: current, improved }
+  }
+
+  // Improve a single tour in place of the nearest-neighbour order
+  static improveTour(tour, cost, budget) {
+    let current = tour
+    let improving = true
+    while (improving && !this.exhausted(budget)) {
+      const afterTwoOpt = this.twoOpt(current, cost, budget)
+      const afterOrOpt = this.orOpt(afterTwoOpt.tour, cost, budget)
+      current = afterOrOpt.tour
+      improving = afterTwoOpt.improved || afterOrOpt.improved
+    }
+    return current
+  }
+
+  // Whether changing two routes' costs and workloads is an improvement. Without a
+  // workload the total cost must drop; with one the busier route's workload must
+  // drop (min-max), or stay level while the total cost drops.
+  static accepts(before, after, workload) {
+    if (workload) {
+      const busiestBefore = Math.max(...before.workloads)
+      const busiestAfter = Math.max(...after.workloads)
+      if (busiestAfter < busiestBefore - EPSILON) return true
+      if (busiestAfter > busiestBefore + EPSILON) return false
+    }
+    return after.cost < before.cost - EPSILON
+  }
+
+  // Move one stop to another truck's route if it fits and improves the routes
+  static relocate(routes, load, budget, workload) {
+    for (const from of routes) {
+      const fromCost = from.cost(from.tour)
+      for (let i = 0; i < from.tour.length; i++) {
+        const bin = from.tour[i]
+        const binLoad = load(bin)
+        const reducedFrom = [...from.tour.slice(0, i), ...from.tour.slice(i + 1)]
+        const reducedFromCost = from.cost(reducedFrom)
+
+        for (const to of routes) {
+          if (to === from || to.load + binLoad > to.capacity) continue
+          const toCost = to.cost(to.tour)
+          const before = {
+            cost: fromCost + toCost,
+            workloads: workload ? [workload(from, from.tour), workload(to, to.tour)] : []
+          }
+          for (let k = 0; k <= to.tour.length; k++) {
+            const grownTo = [...to.tour.slice(0, k), bin, ...to.tour.slice(k)]
+            const after = {
+              cost: reducedFromCost + to.cost(grownTo),
+              workloads: workload ? [workload(from, reducedFrom), workload(to, grownTo)] : []
+            }
+            if (this.accepts(before, after, workload)) {
+              from.tour = reducedFrom
+              from.load -= binLoad
+              to.tour = grownTo
+              to.load += binLoad
+              budget.iterations++
+              return true
+            }
+          }
+        }
+        if (this.exhausted(budget)) return false
+      }
+    }
+    return false
+  }
+
+  // Exchange one stop between two trucks if both still fit and the routes improve
+  static swap(routes, load, budget, workload) {
+    for (let r1 = 0; r1 < routes.length; r1++) {
+      for (let r2 = r1 + 1; r2 < routes.length; r2++) {
+        const a = routes[r1]
+        const b = routes[r2]
+        const before = {
+          cost: a.cost(a.tour) + b.cost(b.tour),
+          workloads: workload ? [workload(a, a.tour), workload(b, b.tour)] : []
+        }
+
+        for (let i = 0; i < a.tour.length; i++) {
+          for (let j = 0; j < b.tour.length; j++) {
+            const loadA = a.load - load(a.tour[i]) + load(b.tour[j])
+            const loadB = b.load - load(b.tour[j]) + load(a.tour[i])
+            if (loadA > a.capacity || loadB > b.capacity) continue
+
+            const tourA = [...a.tour]
+            const tourB = [...b.tour]
+            tourA[i] = b.tour[j]
+            tourB[j] = a.tour[i]
+            const after = {
+              cost: a.cost(tourA) + b.cost(tourB),
+              workloads: workload ? [workload(a, tourA), workload(b, tourB)] : []
+            }
+            if (this.accepts(before, after, workload)) {
+              a.tour = tourA
+              a.load = loadA
+              b.tour = tourB
+              b.load = loadB
+              budget.iterations++
+              return true
+            }
+          }
+          if (this.exhausted(budget)) return false
+        }
+      }
+    }
+    return false
+  }
+
+  // Improve a set of routes: [{ tour, load, capacity, cost(tour) }]
+  // workload(route, tour), when given, is balanced across routes before cost
+  // Routes are updated in place; returns the budget spent. options.budget, from createBudget,
+  // lets several calls share one budget.
+  static improveRoutes(routes, { load, workload, budget: shared, ...options }) {
+    const budget = shared || this.createBudget(options)
+    const startIterations = budget.iterations
+    const startedAt = Date.now()
+
+    let improving = true
+    while (improving && !this.exhausted(budget)) {
+      routes.forEach(route => {
+        route.tour = this.improveTour(route.tour, route.cost, budget)
+      })
+      improving = this.relocate(routes, load, budget, workload) ||
+        this.swap(routes, load, budget, workload)
+    }
+
+    return { iterations: budget.iterations - startIterations, elapsedMs: Date.now() - startedAt }
+  }
+}
+
+module.exports = LocalSearch
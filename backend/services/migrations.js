@@ -0,0 +1,74 @@
+// One-off data fixes for documents written before a schema change. Each step only
+// touches documents still in the old shape, so running them on every start is safe.
+
+const RoutePlan = require('../models/RoutePlan')
+const Truck = require('../models/Truck')
+
+const isSet = (field) => ({ $ifNull: [field, false] })
+
+class Migrations {
+  // Plans from before the lifecycle have no status and routes without one; work the status out
+  // from the approval and dispatch fields instead of letting them load as drafts
+  static async planStatuses() {
+    const { modifiedCount } = await RoutePlan.updateMany({ status: { $exists: false } }, [
+      {
+        $set: {
+          status: {
+            $switch: {
+              branches: [
+                { case: isSet('$completedAt'), then: 'completed' },
+                { case: isSet('$dispatchedAt'), then: 'dispatched' },
+                { case: { $eq: ['$approved', true] }, then: 'approved' }
+              ],
+              default: 'draft'
+            }
+          }
+        }
+      },
+      {
+        $set: {
+          routes: {
+            $map: {
+              input: { $ifNull: ['$routes', []] },
+              in: {
+                $mergeObjects: ['$$this', {
+                  status: {
+                    $ifNull: ['$$this.status', {
+                      $switch: {
+                        branches: [
+                          { case: { $eq: ['$status', 'completed'] }, then: 'completed' },
+                          { case: { $eq: ['$status', 'dispatched'] }, then: 'dispatched' }
+                        ],
+                        default: 'planned'
+                      }
+                    }]
+                  }
+                }]
+              }
+            }
+          }
+        }
+      }
+    ])
+    return modifiedCount
+  }
+
+  // Capacities used to be stored as text; keep the ones that read as litres and drop the rest,
+  // so those trucks show up as having no capacity rather than planning with garbage
+  static async truckCapacities() {
+    const litres = { $convert: { input: { $trim: { input: '$capacity' } }, to: 'double', onError: null } }
+    const { modifiedCount } = await Truck.updateMany({ capacity: { $type: 'string' } }, [
+      { $set: { capacity: { $cond: [{ $gt: [litres, 0] }, litres, '$$REMOVE'] } } }
+    ])
+    return modifiedCount
+  }
+
+  static async run() {
+    const plans = await this.planStatuses()
+    if (plans > 0) console.log(`Migrated ${plans} route plan(s) to lifecycle statuses`)
+    const trucks = await this.truckCapacities()
+    if (trucks > 0) console.log(`Converted the capacity of ${trucks} truck(s) to litres`)
+  }
+}
+
+module.exports = Migrations
@@ -0,0 +1,156 @@
+// MQTT ingestion gateway: subscribes to the sensor topics and feeds readings through the
+// same ingestion path as POST /api/bins/report.
+// Topics are configured as patterns with placeholders, e.g. "bins/{sensorId}/fill"; the
+// payload format of each pattern decides how the message is parsed.
+
+const mqtt = require('mqtt')
+const SensorAuth = require('./sensorAuth')
+const SensorIngestion = require('./ingestion')
+
+const DEFAULT_TOPICS = [{ pattern: 'bins/{sensorId}/fill', format: 'json' }]
+
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value))
+
+class MqttGateway {
+  static url = process.env.MQTT_URL
+
+  static qos = parseInt(process.env.MQTT_QOS) || 1
+
+  // When the broker itself authenticates devices and restricts each one to its own topics,
+  // payloads without a device key are accepted
+  static trustBroker = process.env.MQTT_TRUST_BROKER === 'true'
+
+  // Payload parsers: message text -> { fillLevel, battery?, temperature?, key? }
+  static payloadFormats = {
+    // {"fillLevel": 72, "battery": 3.6, "temperature": 31, "key": "<keyId>.<secret>"}
+    json: (text) => {
+      const { fillLevel, battery, temperature, key } = JSON.parse(text)
+      return { fillLevel: toNumber(fillLevel), battery: toNumber(battery), temperature: toNumber(temperature), key }
+    },
+    // 72
+    number: (text) => ({ fillLevel: toNumber(text.trim()) }),
+    // fillLevel,battery,temperature,key - trailing fields optional
+    csv: (text) => {
+      const [fillLevel, battery, temperature, key] = text.trim().split(',').map(field => field.trim())
+      return { fillLevel: toNumber(fillLevel), battery: toNumber(battery), temperature: toNumber(temperature), key: key || undefined }
+    }
+  }
+
+  // "bins/{sensorId}/fill" -> { filter: "bins/+/fill", regex, params: ['sensorId'] }
+  static compilePattern(pattern) {
+    const params = []
+    const levels = pattern.split('/').map((level, i, all) => {
+      const placeholder = /^\{(\w+)\}$/.exec(level)
+      if (placeholder) {
+        params.push(placeholder[1])
+        return { filter: '+', regex: '([^/]+)' }
+      }
+      if (level === '+') return { filter: '+', regex: '[^/]+' }
+      if (level === '#' && i === all.length - 1) return { filter: '#', regex: '.*' }
+      if (/[{}+#]/.test(level)) throw new Error(`Invalid MQTT topic pattern ${pattern}`)
+      return { filter: level, regex: level.replace(/[.*?^$()|[\]\\]/g, '\\$&') }
+    })
+    if (!params.includes('sensorId')) throw new Error(`MQTT topic pattern ${pattern} needs a {sensorId} placeholder`)
+    return {
+      filter: levels.map(l => l.filter).join('/'),
+      regex: new RegExp(`^${levels.map(l => l.regex).join('/')}$`),
+      params
+    }
+  }
+
+  // Topic patterns from MQTT_TOPICS: a JSON array of { pattern, format? }
+  static parseTopics(text = process.env.MQTT_TOPICS) {
+    if (!text) return DEFAULT_TOPICS
+    let topics
+    try {
+      topics = JSON.parse(text)
+    } catch (err) {
+      throw new Error(`MQTT_TOPICS is not valid JSON: ${err.message}`)
+    }
+    if (!Array.isArray(topics) || topics.length === 0) throw new Error('MQTT_TOPICS must be a non-empty JSON array')
+    topics.forEach((topic, i) => {
+      if (typeof topic?.pattern !== 'string') throw new Error(`MQTT_TOPICS[${i}] needs a pattern string`)
+    })
+    return topics
+  }
+
+  static compileTopics(topics = this.parseTopics()) {
+    return topics.map(({ pattern, format = 'json' }) => {
+      if (!this.payloadFormats[format]) throw new Error(`Unknown MQTT payload format ${format} for ${pattern}`)
+      return { pattern, format, ...this.compilePattern(pattern) }
+    })
+  }
+
+  // Find the first configured topic matching an incoming topic
+  static match(routes, topic) {
+    for (const route of routes) {
+      const found = route.regex.exec(topic)
+      if (!found) continue
+      const params = {}
+      route.params.forEach((name, i) => { params[name] = found[i + 1] })
+      return { route, params }
+    }
+    return null
+  }
+
+  // Handle one message; resolves to the updated bin, or null if it was dropped
+  static async handleMessage(routes, topic, message, io) {
+    const matched = this.match(routes, topic)
+    if (!matched) return null
+    const { sensorId } = matched.params
+    const text = message.toString()
+
+    let reading
+    try {
+      reading = this.payloadFormats[matched.route.format](text)
+    } catch (err) {
+      reading = null
+    }
+    if (!reading || !Number.isFinite(reading.fillLevel)) {
+      await SensorAuth.reject({ sensorId, reason: 'invalid-payload', source: 'mqtt', payload: { topic, message: text } })
+      return null
+    }
+
+    if (reading.key || !this.trustBroker) {
+      const result = await SensorAuth.verify(reading.key, sensorId)
+      if (result.reason) {
+        await SensorAuth.reject({ sensorId, keyId: result.keyId, reason: result.reason, source: 'mqtt', payload: { topic, message: text } })
+        return null
+      }
+    }
+
+    const bin = await SensorIngestion.ingest({ ...reading, sensorId }, io)
+    if (!bin) console.warn(`MQTT reading for unknown sensor ${sensorId} on ${topic}`)
+    return bin
+  }
+
+  // Connect and subscribe; resolves to the mqtt client once subscribed, rejects when the
+  // topic configuration is invalid
+  static async start({ url = this.url, topics, io, ...options } = {}) {
+    const routes = this.compileTopics(topics || this.parseTopics())
+    const client = mqtt.connect(url, {
+      clientId: process.env.MQTT_CLIENT_ID,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      ...options
+    })
+
+    client.on('message', (topic, message) => {
+      this.handleMessage(routes, topic, message, io)
+        .catch(err => console.error(`MQTT reading on ${topic} failed:`, err.message))
+    })
+    client.on('error', (err) => console.error('MQTT gateway error:', err.message))
+
+    return new Promise((resolve, reject) => {
+      client.once('connect', () => {
+        client.subscribe(routes.map(r => r.filter), { qos: this.qos }, (err) => {
+          if (err) return reject(err)
+          console.log(`MQTT gateway subscribed to ${routes.map(r => r.pattern).join(', ')}`)
+          resolve(client)
+        })
+      })
+    })
+  }
+}
+
+module.exports = MqttGateway
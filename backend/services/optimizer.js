@@ -1,8 +1,68 @@
 // Simple route optimization service
 // Uses nearest neighbor algorithm for TSP approximation
+// Distances come from GeoJSON coordinates (haversine x road winding factor)
+// Constructed tours are then improved by local search (see localSearch.js)
+
+const LocalSearch = require('./localSearch')
+const RouteScheduler = require('./scheduler')
+const FillThresholds = require('./thresholds')
+
+const EARTH_RADIUS_KM = 6371
+const DEFAULT_BIN_VOLUME = 660 // litres, standard communal bin
+const DEFAULT_SERVICE_MIN = 3 // minutes to empty a bin
+const LATE_PENALTY_KM = 1000 // cost of one minute outside a window or shift, in km
+const DEFAULT_UNLOAD_MIN = 15 // minutes to tip a load at a facility
+
+// Speeds (km/h) by name from a JSON object in the environment variable; a malformed value
+// is ignored with a warning rather than stopping the server, as are non-positive speeds
+function speedsFromEnv(name) {
+  const text = process.env[name]
+  if (!text) return {}
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (err) {
+    console.warn(`${name} is not valid JSON, using the default speeds: ${err.message}`)
+    return {}
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.warn(`${name} must be a JSON object of speeds in km/h, using the default speeds`)
+    return {}
+  }
+  const speeds = {}
+  Object.entries(parsed).forEach(([key, speed]) => {
+    if (Number.isFinite(speed) && speed > 0) speeds[key] = speed
+    else console.warn(`${name}: ignoring ${key}, speed must be a positive number`)
+  })
+  return speeds
+}
 
 class RouteOptimizer {
-  // Distance matrix for locations in Kilinochchi District (approximate distances in km)
+  // Ratio of road distance to straight-line distance in the district
+  static roadWindingFactor = parseFloat(process.env.ROAD_WINDING_FACTOR) || 1.3
+
+  // Average driving speed by road class of the leg's destination, including stop-and-go (km/h)
+  static roadClassSpeedsKmh = {
+    urban: 20,
+    rural: 30,
+    highway: 45,
+    ...speedsFromEnv('ROAD_CLASS_SPEEDS_KMH')
+  }
+
+  // Top average speed per truck model (km/h), e.g. { "Tata Ultra": 25 }
+  static truckModelSpeedsKmh = speedsFromEnv('TRUCK_MODEL_SPEEDS_KMH')
+
+  // Diesel consumption of a loaded collection truck (8 L per 100 km)
+  static fuelLitresPerKm = 0.08
+
+  // When enabled, surveyed distances in distanceMatrix override the coordinate model
+  static useDistanceMatrix = process.env.USE_DISTANCE_MATRIX === 'true'
+
+  // Route generation objectives: shortest total distance, or the most even route
+  // time / number of stops across trucks
+  static objectives = ['distance', 'balance-time', 'balance-stops']
+
+  // Surveyed road distances between named locations in Kilinochchi District (km)
   static distanceMatrix = {
     'Paranthan': {
       'Paranthan': 0, 'Poonagary': 5, 'Kilinochchi Town': 10, 'Ramanathapuram': 15, 'Uruthirapuram': 8,
@@ -45,33 +105,89 @@ class RouteOptimizer {
     // In real implementation, fill the entire matrix
   }
 
-  // Get distance between two locations
-  static getDistance(loc1, loc2) {
-    if (this.distanceMatrix[loc1] && this.distanceMatrix[loc1][loc2] !== undefined) {
-      return this.distanceMatrix[loc1][loc2]
+  // Name used for matrix overrides and route display
+  static placeName(place) {
+    if (typeof place === 'string') return place
+    return place.locationName || place.name
+  }
+
+  // Extract { lat, lng } from a GeoJSON-located document or a plain { lat, lng } object
+  static toLatLng(place) {
+    if (!place || typeof place !== 'object') return null
+    const coords = place.location?.coordinates
+    if (coords && coords.length === 2) return { lat: coords[1], lng: coords[0] }
+    if (typeof place.lat === 'number' && typeof place.lng === 'number') return { lat: place.lat, lng: place.lng }
+    return null
+  }
+
+  // Great-circle distance in km
+  static haversine(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180
+    const dLat = toRad(b.lat - a.lat)
+    const dLng = toRad(b.lng - a.lng)
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h))
+  }
+
+  // Look up a surveyed distance between two named locations
+  static matrixDistance(name1, name2) {
+    if (this.distanceMatrix[name1] && this.distanceMatrix[name1][name2] !== undefined) {
+      return this.distanceMatrix[name1][name2]
+    }
+    if (this.distanceMatrix[name2] && this.distanceMatrix[name2][name1] !== undefined) {
+      return this.distanceMatrix[name2][name1]
     }
-    if (this.distanceMatrix[loc2] && this.distanceMatrix[loc2][loc1] !== undefined) {
-      return this.distanceMatrix[loc2][loc1]
+    return undefined
+  }
+
+  // Get road distance (km) between two places (bins, trucks, depots or { lat, lng })
+  static getDistance(place1, place2) {
+    if (this.useDistanceMatrix) {
+      const surveyed = this.matrixDistance(this.placeName(place1), this.placeName(place2))
+      if (surveyed !== undefined) return surveyed
     }
-    // Default distance if not found
-    return 10 // km
+
+    const a = this.toLatLng(place1)
+    const b = this.toLatLng(place2)
+    if (!a || !b) {
+      throw new Error(`Missing coordinates for ${this.placeName(a ? place2 : place1) || 'location'}`)
+    }
+    return this.haversine(a, b) * this.roadWindingFactor
+  }
+
+  // Closest of several places (depots, facilities) to a place
+  static nearest(place, places) {
+    return places.reduce((best, p) => (this.getDistance(place, p) < this.getDistance(place, best) ? p : best))
+  }
+
+  // Where a truck's route starts and ends: the depot it is based at, otherwise the
+  // depot nearest its last known position, otherwise the first depot
+  static homeDepot(truck, depots) {
+    const depotId = truck.depotId?._id || truck.depotId
+    const based = depotId && depots.find(d => String(d._id) === String(depotId))
+    if (based) return based
+    if (this.toLatLng(truck) && depots.length > 0) return this.nearest(truck, depots)
+    return depots[0]
   }
 
-  // Nearest neighbor algorithm for route optimization
-  static optimizeRoute(startLocation, bins) {
-    if (bins.length === 0) return { route: [startLocation], totalDistance: 0 }
+  // Nearest neighbor construction followed by 2-opt / Or-opt improvement
+  // Returns the visit order as places: [start, ...bins, start]
+  // options: { improve = true, maxIterations, timeLimitMs }
+  static optimizeRoute(start, bins, options = {}) {
+    if (bins.length === 0) return { route: [start], totalDistance: 0, constructionDistance: 0 }
 
-    const route = [startLocation] // Start from depot or truck location
-    let currentLocation = startLocation
+    const route = [start] // Start from the depot
+    let current = start
     let remainingBins = [...bins]
     let totalDistance = 0
 
     while (remainingBins.length > 0) {
       let nearestIndex = 0
-      let nearestDistance = this.getDistance(currentLocation, remainingBins[0].locationName)
+      let nearestDistance = this.getDistance(current, remainingBins[0])
 
       for (let i = 1; i < remainingBins.length; i++) {
-        const distance = this.getDistance(currentLocation, remainingBins[i].locationName)
+        const distance = this.getDistance(current, remainingBins[i])
         if (distance < nearestDistance) {
           nearestDistance = distance
           nearestIndex = i
@@ -79,156 +195,572 @@ class RouteOptimizer {
       }
 
       const nearestBin = remainingBins[nearestIndex]
-      route.push(nearestBin.locationName)
+      route.push(nearestBin)
       totalDistance += nearestDistance
-      currentLocation = nearestBin.locationName
+      current = nearestBin
       remainingBins.splice(nearestIndex, 1)
     }
 
     // Return to start if needed
     if (route.length > 1) {
-      totalDistance += this.getDistance(currentLocation, startLocation)
-      route.push(startLocation) // Return to depot
+      totalDistance += this.getDistance(current, start)
+      route.push(start) // Return to depot
     }
 
-    return { route, totalDistance }
+    const constructionDistance = totalDistance
+    if (options.improve === false) return { route, totalDistance, constructionDistance }
+
+    const distance = (a, b) => this.getDistance(a, b)
+    const budget = LocalSearch.createBudget(options)
+    const cost = (tour) => LocalSearch.tourDistance(start, tour, distance)
+    const tour = LocalSearch.improveTour(route.slice(1, -1), cost, budget)
+    return {
+      route: [start, ...tour, start],
+      totalDistance: LocalSearch.tourDistance(start, tour, distance),
+      constructionDistance
+    }
   }
 
-  // Optimize routes for multiple trucks with priority system
-  static optimizeMultiRoute(bins, trucks, depotLocation = 'Kilinochchi Town') {
-    // Filter bins that need collection (>70% fill level)
-    const binsNeedingCollection = bins.filter(b => b.fillLevel > 70)
+  // Turn a timed visit order into RoutePlan stops with cumulative ETAs
+  // schedule comes from RouteScheduler.scheduleTour; date is the planned day.
+  // Disposal visits become 'disposal' stops recording the litres unloaded.
+  static toStops(start, schedule, departMin, date) {
+    const midnight = new Date(date)
+    midnight.setHours(0, 0, 0, 0)
+
+    let previous = start
+    let onBoard = 0
+    return schedule.stops.map((timing, index) => {
+      const place = timing.bin
+      const legDistance = this.getDistance(previous, place)
+      previous = place
+      const stop = {
+        order: index + 1,
+        legDistance: Math.round(legDistance * 100) / 100,
+        estimatedTime: Math.round(timing.arrival - departMin), // minutes after departure
+        eta: new Date(midnight.getTime() + Math.round(timing.arrival) * 60000),
+        waitMin: Math.round(timing.wait),
+        serviceMin: this.serviceMinutes(place),
+        locationName: this.placeName(place),
+        late: timing.late > 0,
+        lateByMin: Math.round(timing.late)
+      }
 
-    // Separate priority bins (100% full) from regular bins (>70% but <100%)
-    const priorityBins = binsNeedingCollection.filter(b => b.fillLevel >= 100)
-    const regularBins = binsNeedingCollection.filter(b => b.fillLevel > 70 && b.fillLevel < 100)
+      if (place.disposal) {
+        const unloaded = onBoard
+        onBoard = 0
+        return { ...stop, kind: 'disposal', facilityId: place.facility._id, unloadedLitres: Math.round(unloaded) }
+      }
+      onBoard += this.binLoad(place)
+      return { ...stop, kind: 'bin', sensorId: place.sensorId, priority: FillThresholds.isPriority(place) }
+    })
+  }
 
-    // Get active trucks
-    const activeTrucks = trucks.filter(t => t.status === 'Active')
+  // Expected waste volume (litres) to pick up at a bin
+  static binLoad(bin) {
+    const volume = bin.volume || DEFAULT_BIN_VOLUME
+    return Math.min(bin.fillLevel, 100) / 100 * volume
+  }
 
-    const routes = []
+  // Usable truck capacity in litres (0 when not set)
+  static truckCapacity(truck) {
+    const capacity = Number(truck.capacity)
+    return isNaN(capacity) ? 0 : capacity
+  }
 
-    // If there are priority bins, all trucks go to priority bins first
-    if (priorityBins.length > 0) {
-      // Sort priority bins by fill level (highest first)
-      priorityBins.sort((a, b) => b.fillLevel - a.fillLevel)
-
-      activeTrucks.forEach((truck) => {
-        const truckLocation = truck.currentLocation || depotLocation
-
-        // Find nearest priority bins for this truck
-        const sortedPriorityBins = [...priorityBins].sort((a, b) =>
-          this.getDistance(truckLocation, a.locationName) - this.getDistance(truckLocation, b.locationName)
-        )
-
-        // Take up to 3 priority bins per truck
-        const truckPriorityBins = sortedPriorityBins.splice(0, Math.min(3, sortedPriorityBins.length))
-
-        if (truckPriorityBins.length > 0) {
-          const { route, totalDistance } = this.optimizeRoute(truckLocation, truckPriorityBins)
-
-          const stops = route
-            .filter(loc => loc !== truckLocation || route.indexOf(loc) > 0)
-            .map((locationName, index) => {
-              const bin = truckPriorityBins.find(b => b.locationName === locationName)
-              return {
-                sensorId: bin ? bin.sensorId : null,
-                order: index + 1,
-                estimatedTime: Math.round(totalDistance / route.length * 10),
-                locationName,
-                priority: true
-              }
-            }).filter(stop => stop.sensorId)
-
-          routes.push({
-            truckId: truck._id,
-            truckPlate: truck.plate,
-            binSensorIds: truckPriorityBins.map(b => b.sensorId),
-            stops,
-            totalDistance: Math.round(totalDistance * 100) / 100,
-            estimatedTimeMin: Math.round(totalDistance * 6),
-            status: 'planned',
-            priorityRoute: true
-          })
-
-          // Remove assigned priority bins from the pool
-          truckPriorityBins.forEach(assignedBin => {
-            const index = priorityBins.findIndex(b => b.sensorId === assignedBin.sensorId)
-            if (index > -1) priorityBins.splice(index, 1)
-          })
-        }
+  // Trucks without a capacity are left out of planning; bins they could have taken are
+  // reported as unassigned for 'no-capacity' so the truck gets fixed
+  static hasCapacity(truck) {
+    return this.truckCapacity(truck) > 0
+  }
+
+  // Workload of a candidate's tour that a balancing objective evens out: minutes from
+  // departure until back at the depot, or bins visited. Lateness weighs in at the
+  // usual penalty so evenness is never bought with late stops. null for 'distance'.
+  static workloadFor(objective, day) {
+    if (!['balance-time', 'balance-stops'].includes(objective)) return null
+    return (candidate, tour) => {
+      if (tour.length === 0) return 0
+      const { returnMin, lateMin, overShiftMin } = this.scheduleCandidate(candidate, tour, day)
+      const amount = objective === 'balance-time' ? returnMin - candidate.shift.start : tour.length
+      return amount + (lateMin + overShiftMin) * LATE_PENALTY_KM
+    }
+  }
+
+  // Spread of route time or stop count across the trucks given routes. Streams are planned
+  // and balanced separately, so trucks are only compared within a stream and the widest
+  // stream's spread is reported.
+  static workloadSpread(routes, metric = 'time') {
+    const byStream = new Map()
+    routes.forEach(route => {
+      const stream = route.wasteStream || 'general'
+      if (!byStream.has(stream)) byStream.set(stream, new Map())
+      const workloads = byStream.get(stream)
+      const truckId = String(route.truckId)
+      workloads.set(truckId, (workloads.get(truckId) || 0) + (metric === 'stops' ? route.binSensorIds.length : route.estimatedTimeMin))
+    })
+    let widest = { metric, min: 0, max: 0, spread: 0 }
+    byStream.forEach(workloads => {
+      const min = Math.min(...workloads.values())
+      const max = Math.max(...workloads.values())
+      if (max - min >= widest.spread) widest = { metric, min, max, spread: max - min }
+    })
+    return widest
+  }
+
+  // Minutes spent emptying a bin
+  static serviceMinutes(bin) {
+    return bin.serviceDurationMin ?? DEFAULT_SERVICE_MIN
+  }
+
+  // Facilities open on the given day that accept a waste stream (no acceptedStreams = any)
+  static facilitiesFor(stream, facilities, day) {
+    return facilities
+      .filter(f => f.active !== false)
+      .filter(f => !f.acceptedStreams?.length || f.acceptedStreams.includes(stream))
+      .filter(f => !f.openingHours?.length || RouteScheduler.windowsFor({ serviceWindows: f.openingHours }, day).length > 0)
+  }
+
+  // A facility as a routable place; the scheduler treats opening hours like service windows
+  static facilityStop(facility) {
+    return {
+      disposal: true,
+      facility,
+      name: facility.name,
+      location: facility.location,
+      roadClass: facility.roadClass,
+      serviceWindows: facility.openingHours,
+      serviceDurationMin: facility.unloadMin ?? DEFAULT_UNLOAD_MIN
+    }
+  }
+
+  // The places a truck actually visits for a tour of bins: an unloading trip to the
+  // nearest facility whenever the next bin would overflow the body, and a final one
+  // before returning. Without facilities the tour is returned unchanged.
+  static withDisposalTrips(start, tour, capacity, facilityStops) {
+    if (!facilityStops || facilityStops.length === 0) return tour
+
+    const path = []
+    let load = 0
+    let current = start
+    tour.forEach(bin => {
+      const binLoad = this.binLoad(bin)
+      if (load > 0 && load + binLoad > capacity) {
+        current = this.nearest(current, facilityStops)
+        path.push(current)
+        load = 0
+      }
+      path.push(bin)
+      load += binLoad
+      current = bin
+    })
+    if (load > 0) path.push(this.nearest(current, facilityStops))
+    return path
+  }
+
+  static candidatePath(candidate, tour) {
+    return this.withDisposalTrips(candidate.start, tour, candidate.truckCapacity, candidate.facilityStops)
+  }
+
+  // Time a candidate route (including any unloading trips) against its truck's shift,
+  // the bins' service windows and the facilities' opening hours
+  static scheduleCandidate(candidate, tour, day) {
+    return RouteScheduler.scheduleTour(candidate.start, this.candidatePath(candidate, tour), {
+      day,
+      departMin: candidate.shift.start,
+      shiftEndMin: candidate.shift.end,
+      travelMinutes: (a, b) => this.legMinutes(a, b, candidate.truck),
+      serviceMinutes: (bin) => this.serviceMinutes(bin)
+    })
+  }
+
+  // Drop stops that cannot be served in time. Regular bins that would arrive
+  // after their window closes, or keep the truck out past the shift end, are
+  // removed; priority bins are kept and flagged late instead.
+  static repairSchedule(candidate, day, unassigned) {
+    while (true) {
+      const schedule = this.scheduleCandidate(candidate, candidate.tour, day)
+      const droppable = schedule.stops.filter(s => !s.bin.disposal && !FillThresholds.isPriority(s.bin))
+
+      const lateStops = droppable.filter(s => s.late > 0)
+      if (lateStops.length > 0) {
+        const worst = lateStops.reduce((a, b) => (b.late > a.late ? b : a))
+        this.dropStop(candidate, worst.bin, 'time-window', unassigned)
+        continue
+      }
+
+      if (schedule.overShiftMin > 0 && droppable.length > 0) {
+        this.dropStop(candidate, droppable[droppable.length - 1].bin, 'shift', unassigned)
+        continue
+      }
+
+      return schedule
+    }
+  }
+
+  // A truck ready to take bins: its home depot, working hours on the day and capacity.
+  // null when the depot is closed for the whole shift.
+  static createCandidate(truck, depots, facilityStops, day) {
+    const start = this.homeDepot(truck, depots)
+    const shift = RouteScheduler.workingHoursFor(truck, start, day)
+    if (!shift) return null
+
+    const capacity = this.truckCapacity(truck)
+    return {
+      truck,
+      start,
+      tour: [],
+      load: 0,
+      last: start, // where the truck is after its latest bin during construction
+      // Per-trip capacity is handled by unloading; local search only limits the body otherwise
+      capacity: facilityStops.length > 0 ? Infinity : capacity,
+      truckCapacity: capacity,
+      facilityStops,
+      shift
+    }
+  }
+
+  // RoutePlan route for a candidate's tour as timed by schedule
+  static routeFor(candidate, schedule, date) {
+    const { truck, start, tour, load, truckCapacity, shift } = candidate
+    const stops = this.toStops(start, schedule, shift.start, date)
+    const totalDistance = LocalSearch.tourDistance(start, this.candidatePath(candidate, tour), (a, b) => this.getDistance(a, b))
+    return {
+      truckId: truck._id,
+      truckPlate: truck.plate,
+      depotId: start._id,
+      depotName: start.name,
+      binSensorIds: tour.map(b => b.sensorId),
+      stops,
+      totalDistance: Math.round(totalDistance * 100) / 100,
+      estimatedTimeMin: Math.round(schedule.returnMin - shift.start),
+      drivingTimeMin: Math.round(schedule.drivingMin),
+      load: Math.round(load),
+      capacity: truckCapacity,
+      trips: stops.filter(stop => stop.kind === 'disposal').length,
+      shiftOverrunMin: Math.round(schedule.overShiftMin),
+      status: 'planned',
+      priorityRoute: tour.some(b => FillThresholds.isPriority(b))
+    }
+  }
+
+  // Time and measure a hand-edited route: the bins are visited in the given order and
+  // nothing is dropped, so late stops and shift overruns are reported rather than fixed.
+  // options: { date, facilities }; the route collects the stream of its first bin.
+  // Returns null when the truck's home depot is closed all shift.
+  static evaluateRoute(truck, bins, depots, options = {}) {
+    const date = options.date || new Date()
+    const day = date.getDay()
+    const stream = bins.length > 0 ? this.binStream(bins[0]) : this.truckStreams(truck)[0]
+    const facilityStops = this.facilitiesFor(stream, options.facilities || [], day).map(f => this.facilityStop(f))
+    const candidate = this.createCandidate(truck, depots, facilityStops, day)
+    if (!candidate) return null
+
+    candidate.tour = bins
+    candidate.load = bins.reduce((sum, bin) => sum + this.binLoad(bin), 0)
+    const schedule = this.scheduleCandidate(candidate, bins, day)
+    return { ...this.routeFor(candidate, schedule, date), wasteStream: stream }
+  }
+
+  // A bin that qualified for collection but was left out of every route, and why:
+  // 'capacity', 'shift', 'time-window', 'no-truck', 'no-capacity' or 'depot-closed'
+  static unassignedEntry(bin, reason) {
+    return {
+      sensorId: bin.sensorId,
+      locationName: bin.locationName,
+      wasteStream: this.binStream(bin),
+      load: Math.round(this.binLoad(bin)),
+      priority: FillThresholds.isPriority(bin),
+      reason
+    }
+  }
+
+  static dropStop(candidate, bin, reason, unassigned) {
+    candidate.tour = candidate.tour.filter(b => b !== bin)
+    candidate.load -= this.binLoad(bin)
+    unassigned.push(this.unassignedEntry(bin, reason))
+  }
+
+  // Optimize routes for multiple trucks with priority system
+  // Each truck is filled nearest-first without exceeding its capacity;
+  // priority bins (past their Priority threshold) are assigned before regular bins.
+  // With a balancing objective the least busy truck takes the next bin instead, and
+  // moves between trucks must lower the busier truck's workload (min-max).
+  // When facilities accepting the stream are open, trucks unload there as they fill up,
+  // so a truck takes bins until its shift is full rather than until its body is.
+  // Constructed routes are then improved within and between trucks, penalising
+  // arrivals outside service windows and returns after the driver's shift.
+  // depots are located places ({ _id, name, location, openingHours }); each truck leaves
+  // from and returns to its home depot while the depot is open
+  // options: { maxIterations, timeLimitMs } improvement budget (or { budget } shared with
+  // other calls, see LocalSearch.createBudget), { date } planned day,
+  // { facilities, wasteStream } disposal sites and the stream being collected,
+  // { objective } one of objectives (default 'distance')
+  static optimizeMultiRoute(bins, trucks, depots, options = {}) {
+    const date = options.date || new Date()
+    const day = date.getDay()
+    const facilityStops = this.facilitiesFor(options.wasteStream || 'general', options.facilities || [], day)
+      .map(f => this.facilityStop(f))
+    const unloads = facilityStops.length > 0
+
+    // Filter bins that need collection (past their Full threshold)
+    const binsNeedingCollection = bins.filter(b => FillThresholds.needsCollection(b))
+
+    // Separate priority bins from regular bins (Full but not yet Priority)
+    const priorityBins = binsNeedingCollection.filter(b => FillThresholds.isPriority(b))
+    const regularBins = binsNeedingCollection.filter(b => !FillThresholds.isPriority(b))
+
+    // Get active trucks that have a capacity set
+    const activeTrucks = trucks.filter(t => t.status === 'Active')
+    const usableTrucks = activeTrucks.filter(t => this.hasCapacity(t))
+
+    const distance = (a, b) => this.getDistance(a, b)
+    const candidates = []
+
+    usableTrucks.forEach((truck) => {
+      const candidate = this.createCandidate(truck, depots, facilityStops, day)
+      if (candidate) candidates.push(candidate) // skipped when its home depot is closed all shift
+    })
+
+    const available = candidates.length
+
+    const fits = (candidate, bin) => (unloads
+      ? this.scheduleCandidate(candidate, [...candidate.tour, bin], day).overShiftMin === 0
+      : candidate.load + this.binLoad(bin) <= candidate.truckCapacity)
+
+    // Index of the bin in pool nearest the candidate's last stop that still fits, or -1
+    const nearestFit = (candidate, pool) => {
+      let nearestIndex = -1
+      let nearestDistance = Infinity
+      pool.forEach((bin, i) => {
+        const binDistance = this.getDistance(candidate.last, bin)
+        if (binDistance >= nearestDistance || !fits(candidate, bin)) return
+        nearestDistance = binDistance
+        nearestIndex = i
       })
+      return nearestIndex
+    }
+
+    const take = (candidate, pool, index) => {
+      const [bin] = pool.splice(index, 1)
+      candidate.tour.push(bin)
+      candidate.load += this.binLoad(bin)
+      candidate.last = bin
     }
 
-    // Handle remaining regular bins (>70% but <100%) if no priority bins or after priority bins are handled
-    let remainingBins = priorityBins.length > 0 ? [] : regularBins
-
-    if (remainingBins.length > 0) {
-      // Sort by distance from depot/truck locations
-      activeTrucks.forEach((truck) => {
-        if (remainingBins.length === 0) return
-
-        const truckLocation = truck.currentLocation || depotLocation
-        remainingBins.sort((a, b) =>
-          this.getDistance(truckLocation, a.locationName) - this.getDistance(truckLocation, b.locationName)
-        )
-
-        // Take bins for this truck (up to 5)
-        const binsPerTruck = Math.min(remainingBins.length, 5)
-        const truckBins = remainingBins.splice(0, binsPerTruck)
-
-        if (truckBins.length > 0) {
-          const { route, totalDistance } = this.optimizeRoute(truckLocation, truckBins)
-
-          const stops = route
-            .filter(loc => loc !== truckLocation || route.indexOf(loc) > 0)
-            .map((locationName, index) => {
-              const bin = truckBins.find(b => b.locationName === locationName)
-              return {
-                sensorId: bin ? bin.sensorId : null,
-                order: index + 1,
-                estimatedTime: Math.round(totalDistance / route.length * 10),
-                locationName,
-                priority: false
-              }
-            }).filter(stop => stop.sensorId)
-
-          routes.push({
-            truckId: truck._id,
-            truckPlate: truck.plate,
-            binSensorIds: truckBins.map(b => b.sensorId),
-            stops,
-            totalDistance: Math.round(totalDistance * 100) / 100,
-            estimatedTimeMin: Math.round(totalDistance * 6),
-            status: 'planned',
-            priorityRoute: false
-          })
+    const workload = this.workloadFor(options.objective, day)
+    for (const pool of [priorityBins, regularBins]) {
+      if (workload) {
+        // Balanced: the least busy truck that can still take a bin takes its nearest one
+        while (pool.length > 0) {
+          const next = candidates
+            .map(candidate => ({ candidate, index: nearestFit(candidate, pool) }))
+            .filter(({ index }) => index !== -1)
+            .reduce((best, option) => (!best || workload(option.candidate, option.candidate.tour) <
+              workload(best.candidate, best.candidate.tour) ? option : best), null)
+          if (!next) break
+          take(next.candidate, pool, next.index)
         }
+      } else {
+        // Each truck in turn repeatedly takes the nearest bin that still fits
+        candidates.forEach(candidate => {
+          while (true) {
+            const index = nearestFit(candidate, pool)
+            if (index === -1) break
+            take(candidate, pool, index)
+          }
+        })
+      }
+    }
+
+    // Idle trucks stay in play when balancing so bins can be moved onto them
+    if (!workload) candidates.splice(0, candidates.length, ...candidates.filter(c => c.tour.length > 0))
+    candidates.forEach(candidate => {
+      if (candidate.tour.length > 0) {
+        candidate.tour = this.optimizeRoute(candidate.start, candidate.tour, { improve: false }).route.slice(1, -1)
+      }
+      candidate.constructionDistance = LocalSearch.tourDistance(candidate.start, this.candidatePath(candidate, candidate.tour), distance)
+    })
+
+    // Whatever is left did not fit in any truck, or in any shift when trucks can unload,
+    // unless no truck could leave its depot at all or none has a capacity set
+    let leftoverReason = unloads ? 'shift' : 'capacity'
+    if (activeTrucks.length === 0) leftoverReason = 'no-truck'
+    else if (usableTrucks.length === 0) leftoverReason = 'no-capacity'
+    else if (available === 0) leftoverReason = 'depot-closed'
+    const unassignedBins = [...priorityBins, ...regularBins].map(b => this.unassignedEntry(b, leftoverReason))
+
+    // Improvement phase: 2-opt / Or-opt per route, relocate / swap between routes
+    candidates.forEach(candidate => {
+      candidate.cost = (tour) => {
+        const { lateMin, overShiftMin } = this.scheduleCandidate(candidate, tour, day)
+        return LocalSearch.tourDistance(candidate.start, this.candidatePath(candidate, tour), distance) +
+          (lateMin + overShiftMin) * LATE_PENALTY_KM
+      }
+    })
+    const { iterations, elapsedMs } = LocalSearch.improveRoutes(candidates, {
+      load: (bin) => this.binLoad(bin),
+      workload,
+      ...options
+    })
+    const improvedDistance = candidates.reduce((sum, c) =>
+      sum + LocalSearch.tourDistance(c.start, this.candidatePath(c, c.tour), distance), 0)
+
+    const round = (km) => Math.round(km * 100) / 100
+    const routes = []
+    candidates.forEach(candidate => {
+      const schedule = this.repairSchedule(candidate, day, unassignedBins)
+      if (candidate.tour.length === 0) return
+      routes.push({
+        ...this.routeFor(candidate, schedule, date),
+        constructionDistance: round(candidate.constructionDistance)
       })
+    })
+
+    const improvement = {
+      constructionDistance: round(candidates.reduce((sum, c) => sum + c.constructionDistance, 0)),
+      improvedDistance: round(improvedDistance),
+      iterations,
+      elapsedMs
     }
 
-    return routes
+    return { routes, unassignedBins, improvement }
+  }
+
+  static binStream(bin) {
+    return bin.wasteStream || 'general'
+  }
+
+  static truckStreams(truck) {
+    return truck.wasteStreams?.length ? truck.wasteStreams : ['general']
   }
 
-  // Calculate efficiency metrics
-  static calculateEfficiency(routes, originalRoutes = null) {
-    if (!originalRoutes) {
-      // Estimate original inefficient routes
-      const totalBins = routes.reduce((sum, r) => sum + r.binSensorIds.length, 0)
-      const estimatedOriginalDistance = totalBins * 5 // Assume 5km per bin without optimization
-      const estimatedOriginalTime = estimatedOriginalDistance * 6 // 10 km/h
+  // Give each active truck one waste stream for the day. Single-stream trucks go first;
+  // a multi-stream truck joins the stream with the most load still uncovered.
+  static allocateTrucks(bins, trucks) {
+    const demand = new Map()
+    bins.filter(b => FillThresholds.needsCollection(b)).forEach(b => {
+      demand.set(this.binStream(b), (demand.get(this.binStream(b)) || 0) + this.binLoad(b))
+    })
+
+    const allocation = new Map()
+    const ordered = trucks
+      .filter(t => t.status === 'Active' && this.hasCapacity(t))
+      .sort((a, b) => this.truckStreams(a).length - this.truckStreams(b).length)
+    ordered.forEach(truck => {
+      const streams = this.truckStreams(truck).filter(s => demand.has(s))
+      if (streams.length === 0) return
+      const uncovered = (s) => demand.get(s) - (allocation.get(s) || []).reduce((sum, t) => sum + this.truckCapacity(t), 0)
+      const stream = streams.reduce((best, s) => (uncovered(s) > uncovered(best) ? s : best))
+      if (!allocation.has(stream)) allocation.set(stream, [])
+      allocation.get(stream).push(truck)
+    })
+    const uncapacitated = trucks.filter(t => t.status === 'Active' && !this.hasCapacity(t))
+    return { demand, allocation, uncapacitated }
+  }
 
-      const optimizedDistance = routes.reduce((sum, r) => sum + r.totalDistance, 0)
-      const optimizedTime = routes.reduce((sum, r) => sum + r.estimatedTimeMin, 0)
+  // Plan separate routes per waste stream so streams are never mixed in one truck.
+  // Same options and result as optimizeMultiRoute; each route carries its wasteStream.
+  static optimizeByStream(bins, trucks, depots, options = {}) {
+    const { demand, allocation, uncapacitated } = this.allocateTrucks(bins, trucks)
+    const routes = []
+    const unassignedBins = []
+    const improvement = { constructionDistance: 0, improvedDistance: 0, iterations: 0, elapsedMs: 0 }
+    // One improvement budget for the whole plan, however many streams it has
+    const budget = LocalSearch.createBudget(options)
+
+    for (const stream of demand.keys()) {
+      const streamBins = bins.filter(b => this.binStream(b) === stream)
+      const streamTrucks = allocation.get(stream)
+      if (!streamTrucks) {
+        const reason = uncapacitated.some(t => this.truckStreams(t).includes(stream)) ? 'no-capacity' : 'no-truck'
+        streamBins.filter(b => FillThresholds.needsCollection(b))
+          .forEach(b => unassignedBins.push(this.unassignedEntry(b, reason)))
+        continue
+      }
 
+      const result = this.optimizeMultiRoute(streamBins, streamTrucks, depots, { ...options, wasteStream: stream, budget })
+      result.routes.forEach(route => routes.push({ ...route, wasteStream: stream }))
+      unassignedBins.push(...result.unassignedBins)
+      Object.keys(improvement).forEach(key => { improvement[key] += result.improvement[key] })
+    }
+
+    const round = (km) => Math.round(km * 100) / 100
+    improvement.constructionDistance = round(improvement.constructionDistance)
+    improvement.improvedDistance = round(improvement.improvedDistance)
+    return { routes, unassignedBins, improvement }
+  }
+
+  // Average speed for driving to a place: its road class, capped by the truck model
+  static legSpeedKmh(to, truck) {
+    const roadSpeed = this.roadClassSpeedsKmh[to.roadClass] || this.roadClassSpeedsKmh.rural
+    const modelSpeed = truck ? this.truckModelSpeedsKmh[truck.model] : undefined
+    return modelSpeed ? Math.min(roadSpeed, modelSpeed) : roadSpeed
+  }
+
+  // Driving time in minutes between two places
+  static legMinutes(from, to, truck) {
+    return this.getDistance(from, to) / this.legSpeedKmh(to, truck) * 60
+  }
+
+  // Driving time in minutes around a closed tour
+  static tourMinutes(start, tour, truck) {
+    if (tour.length === 0) return 0
+    let total = this.legMinutes(start, tour[0], truck)
+    for (let i = 1; i < tour.length; i++) total += this.legMinutes(tour[i - 1], tour[i], truck)
+    return total + this.legMinutes(tour[tour.length - 1], start, truck)
+  }
+
+  // Baseline when no legacy schedule exists: the same truck/bin assignment
+  // visited in sensor ID order, without any optimization
+  static unoptimizedRoutes(routes, trucks, bins, depots) {
+    const binsBySensor = new Map(bins.map(b => [b.sensorId, b]))
+    return routes.map(route => {
+      const truck = trucks.find(t => String(t._id) === String(route.truckId))
       return {
-        timeSaved: Math.max(0, estimatedOriginalTime - optimizedTime),
-        distanceSaved: Math.max(0, estimatedOriginalDistance - optimizedDistance),
-        fuelSaved: Math.max(0, (estimatedOriginalDistance - optimizedDistance) * 0.08) // 8L per 100km
+        truck,
+        start: truck ? this.homeDepot(truck, depots) : depots.find(d => String(d._id) === String(route.depotId)),
+        bins: [...route.binSensorIds].sort().map(id => binsBySensor.get(id)).filter(Boolean)
       }
+    })
+  }
+
+  // Calculate efficiency metrics against a real baseline route set
+  // baseline: { source: 'legacy-schedule'|'unoptimized-order', routes: [{ start, bins, truck? }] }
+  // Both sides use the same distance and speed model (driving time only,
+  // excluding service and waiting); savings may be negative.
+  // options: { facilities, date } so baseline routes make the same unloading trips
+  static calculateEfficiency(routes, baseline, options = {}) {
+    const day = (options.date || new Date()).getDay()
+    const pathFor = (r) => {
+      if (!options.facilities || r.bins.length === 0) return r.bins
+      const facilityStops = this.facilitiesFor(this.binStream(r.bins[0]), options.facilities, day).map(f => this.facilityStop(f))
+      return this.withDisposalTrips(r.start, r.bins, r.truck ? this.truckCapacity(r.truck) : Infinity, facilityStops)
     }
 
-    return { timeSaved: 0, distanceSaved: 0, fuelSaved: 0 }
+    const baselineDistance = baseline.routes.reduce((sum, r) =>
+      sum + LocalSearch.tourDistance(r.start, pathFor(r), (a, b) => this.getDistance(a, b)), 0)
+    const baselineTime = baseline.routes.reduce((sum, r) => sum + this.tourMinutes(r.start, pathFor(r), r.truck), 0)
+
+    return this.efficiencyAgainst({ baselineSource: baseline.source, baselineDistance, baselineTime }, routes)
+  }
+
+  // Efficiency of a route set against an already measured baseline, e.g. after manual edits
+  static efficiencyAgainst({ baselineSource, baselineDistance, baselineTime }, routes) {
+    const round = (value) => Math.round(value * 100) / 100
+    const optimizedDistance = routes.reduce((sum, r) => sum + r.totalDistance, 0)
+    const optimizedTime = routes.reduce((sum, r) => sum + r.drivingTimeMin, 0)
+
+    return {
+      baselineSource,
+      baselineDistance: round(baselineDistance),
+      baselineTime: Math.round(baselineTime),
+      optimizedDistance: round(optimizedDistance),
+      optimizedTime: Math.round(optimizedTime),
+      timeSaved: Math.round(baselineTime - optimizedTime),
+      distanceSaved: round(baselineDistance - optimizedDistance),
+      fuelSaved: round((baselineDistance - optimizedDistance) * this.fuelLitresPerKm)
+    }
   }
 }
 
@@ -0,0 +1,198 @@
+// Route plan lifecycle: the statuses a plan and its routes move through, which moves
+// are allowed, and the history of who moved them when
+
+class PlanLifecycle {
+  // Allowed next statuses of a plan. A running plan also ends by itself with its last open
+  // route (see settlePlan), through the completed or cancelled move.
+  static planTransitions = {
+    draft: ['approved', 'cancelled'],
+    approved: ['dispatched', 'cancelled'],
+    dispatched: ['in-progress', 'cancelled'],
+    'in-progress': ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+  }
+
+  // Allowed next statuses of a single route
+  static routeTransitions = {
+    planned: ['dispatched', 'cancelled'],
+    dispatched: ['in-progress', 'cancelled'],
+    'in-progress': ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+  }
+
+  // Route statuses a route may be moved to while its plan has a given status
+  static routeStatusesDuring = {
+    dispatched: ['in-progress', 'cancelled'],
+    'in-progress': ['in-progress', 'completed', 'cancelled']
+  }
+
+  // Outcomes a driver can record for a bin stop, and why a stop was skipped
+  static stopStatuses = ['serviced', 'partial', 'skipped']
+  static skipReasons = ['blocked-access', 'bin-missing', 'already-empty', 'damaged']
+
+  static isDone(route) {
+    return ['completed', 'cancelled'].includes(route.status)
+  }
+
+  static binStops(route) {
+    return route.stops.filter(stop => stop.kind !== 'disposal')
+  }
+
+  static isPending(stop) {
+    return !stop.status || stop.status === 'pending'
+  }
+
+  static pendingStops(route) {
+    return this.binStops(route).filter(stop => this.isPending(stop))
+  }
+
+  // Stops whose outcome was detected automatically and not yet confirmed by the driver
+  static unconfirmedStops(route) {
+    return this.binStops(route).filter(stop => stop.autoDetected)
+  }
+
+  // Why a plan cannot move to status, or null when it can
+  static planTransitionError(plan, status) {
+    if (!this.planTransitions[status]) return `Unknown plan status ${status}`
+    if (!this.planTransitions[plan.status].includes(status)) {
+      return `Cannot move a ${plan.status} plan to ${status}`
+    }
+    if (status === 'completed') {
+      const open = plan.routes.filter(r => !this.isDone(r))
+      if (open.length > 0) {
+        return `Routes still open: ${open.map(r => `${r.truckPlate} (${r.status})`).join(', ')}`
+      }
+    }
+    return null
+  }
+
+  // Why a route of the plan cannot move to status, or null when it can
+  static routeTransitionError(plan, route, status) {
+    if (!this.routeTransitions[status]) return `Unknown route status ${status}`
+    if (!(this.routeStatusesDuring[plan.status] || []).includes(status)) {
+      return `Routes cannot be moved to ${status} while the plan is ${plan.status}`
+    }
+    if (!this.routeTransitions[route.status].includes(status)) {
+      return `Cannot move a ${route.status} route to ${status}`
+    }
+    if (status === 'completed') {
+      const pending = this.pendingStops(route)
+      if (pending.length > 0) return `Stops still pending: ${pending.map(s => s.sensorId).join(', ')}`
+    }
+    return null
+  }
+
+  // Why no outcome can be recorded for the stop right now, or null when it can
+  static stopError(route, stop) {
+    if (stop.kind === 'disposal') return 'Disposal stops have no service outcome'
+    if (!['dispatched', 'in-progress'].includes(route.status)) {
+      return `Stops cannot be recorded on a ${route.status} route`
+    }
+    return null
+  }
+
+  // Outcomes recorded offline are replayed later with the time they were recorded. The
+  // same outcome sent twice is a replay; an outcome older than the stop's is a conflict,
+  // unless the stop's outcome was detected automatically, which the driver always overrides.
+  static isReplay(stop, outcome) {
+    return Boolean(stop.completedAt) && stop.status === outcome.status &&
+      stop.completedAt.getTime() === outcome.recordedAt.getTime()
+  }
+
+  static stopConflictError(stop, outcome) {
+    if (!stop.autoDetected && stop.completedAt && stop.completedAt > outcome.recordedAt) {
+      return `Stop ${stop.sensorId} was updated at ${stop.completedAt.toISOString()}, after this outcome was recorded`
+    }
+    return null
+  }
+
+  // Why outcome { status, skipReason, observedFillLevel, weightKg, recordedAt } is invalid, or null
+  static stopOutcomeError(outcome) {
+    if (!this.stopStatuses.includes(outcome.status)) {
+      return `status must be one of ${this.stopStatuses.join(', ')}`
+    }
+    if (outcome.status === 'skipped' && !this.skipReasons.includes(outcome.skipReason)) {
+      return `skipReason must be one of ${this.skipReasons.join(', ')}`
+    }
+    const fill = outcome.observedFillLevel
+    if (fill !== undefined && fill !== null && !(Number.isFinite(fill) && fill >= 0 && fill <= 150)) {
+      return 'observedFillLevel must be a percentage between 0 and 150'
+    }
+    const weight = outcome.weightKg
+    if (weight !== undefined && weight !== null && !(Number.isFinite(weight) && weight >= 0)) {
+      return 'weightKg must be a positive number'
+    }
+    if (isNaN(outcome.recordedAt)) return 'recordedAt must be a date'
+    return null
+  }
+
+  static record(plan, entry, user) {
+    plan.history.push({ ...entry, at: new Date(), by: user?.id, byName: user?.username })
+  }
+
+  // Move a plan to status, cascading to its routes; check planTransitionError first
+  // user is the authenticated { id, username }; note is free text (e.g. a cancel reason)
+  static transitionPlan(plan, status, user, note) {
+    const from = plan.status
+    plan.status = status
+    const now = new Date()
+    if (status === 'approved') {
+      plan.approved = true
+      plan.approvedAt = now
+    }
+    if (status === 'dispatched') {
+      plan.dispatchedAt = now
+      plan.routes.forEach(route => { route.status = 'dispatched' })
+    }
+    if (status === 'completed') plan.completedAt = now
+    if (status === 'cancelled') {
+      plan.cancelledAt = now
+      plan.routes.filter(route => !this.isDone(route)).forEach(route => { route.status = 'cancelled' })
+    }
+    this.record(plan, { from, to: status, note }, user)
+  }
+
+  // Move one route to status; check routeTransitionError first. The first route to
+  // start takes a dispatched plan in progress, and the last one to end ends the plan.
+  static transitionRoute(plan, route, status, user, note) {
+    const from = route.status
+    route.status = status
+    this.record(plan, { routeId: route._id, truckPlate: route.truckPlate, from, to: status, note }, user)
+    if (status === 'in-progress' && plan.status === 'dispatched') this.transitionPlan(plan, 'in-progress', user)
+    if (this.isDone(route)) this.settlePlan(plan, user)
+  }
+
+  // Once no route of a running plan is open, the plan is completed if any route was, and
+  // cancelled otherwise; a plan whose routes were all cancelled could never move on
+  static settlePlan(plan, user) {
+    if (!['dispatched', 'in-progress'].includes(plan.status) || !plan.routes.every(r => this.isDone(r))) return
+    if (plan.routes.some(r => r.status === 'completed')) this.transitionPlan(plan, 'completed', user)
+    else this.transitionPlan(plan, 'cancelled', user, 'Every route was cancelled')
+  }
+
+  // Record a driver's outcome for a bin stop; check stopError and stopOutcomeError first. A stop can be
+  // recorded again to correct it while its route is open. The first stop starts the route,
+  // the last one completes it, and the plan completes with its last open route.
+  // autoDetected marks an outcome set without the driver (see StopArrivals); the route stays
+  // open until the driver has confirmed or corrected every such stop.
+  static recordStop(plan, route, stop, outcome, user, autoDetected) {
+    stop.status = outcome.status
+    stop.autoDetected = autoDetected
+    stop.skipReason = outcome.status === 'skipped' ? outcome.skipReason : undefined
+    stop.observedFillLevel = outcome.observedFillLevel ?? undefined
+    stop.weightKg = outcome.weightKg ?? undefined
+    stop.note = outcome.note
+    if (outcome.photoUrl) stop.photoUrl = outcome.photoUrl
+    stop.completedAt = outcome.recordedAt || new Date()
+    stop.completedBy = user?.id
+
+    if (route.status === 'dispatched') this.transitionRoute(plan, route, 'in-progress', user)
+    if (this.pendingStops(route).length === 0 && this.unconfirmedStops(route).length === 0) {
+      this.transitionRoute(plan, route, 'completed', user)
+    }
+  }
+}
+
+module.exports = PlanLifecycle
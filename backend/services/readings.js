@@ -0,0 +1,175 @@
+// Bin reading history: recording, charting queries and hourly downsampling
+// Raw readings expire after READING_RETENTION_DAYS; the hourly rollup keeps the long tail.
+
+const BinReading = require('../models/BinReading')
+const BinReadingHourly = require('../models/BinReadingHourly')
+
+const HOUR_MS = 60 * 60 * 1000
+// Readings stored this recently may still be in flight when a rollup runs; the next run takes them
+const INSERT_SLACK_MS = 60 * 1000
+const UNITS = { m: 'minute', h: 'hour', d: 'day' }
+const UNIT_MS = { minute: 60 * 1000, hour: HOUR_MS, day: 24 * HOUR_MS }
+
+class ReadingHistory {
+  // Hours older than this are rolled up, leaving time for buffered gateway uploads
+  static downsampleLagHours = parseInt(process.env.DOWNSAMPLE_LAG_HOURS) || 24
+
+  static downsampleEveryMs = HOUR_MS
+
+  // '15m' | '1h' | '1d' -> { unit, binSize, ms }; 'raw' -> null
+  static parseInterval(interval = 'raw') {
+    if (interval === 'raw') return null
+    const match = /^(\d+)([mhd])$/.exec(interval)
+    if (!match || Number(match[1]) < 1) throw new Error(`Invalid interval ${interval}, use raw or e.g. 15m, 1h, 1d`)
+    const unit = UNITS[match[2]]
+    const binSize = Number(match[1])
+    return { unit, binSize, ms: binSize * UNIT_MS[unit] }
+  }
+
+  // Oldest timestamp still held as raw readings
+  static rawCutoff() {
+    return new Date(Date.now() - BinReading.schema.options.expireAfterSeconds * 1000)
+  }
+
+  static async record({ sensorId, fillLevel, battery, temperature, timestamp = new Date() }) {
+    return BinReading.create({ sensorId, fillLevel, battery, temperature, timestamp })
+  }
+
+  // Readings for one sensor between from and to, raw or averaged per interval.
+  // Ranges reaching past raw retention are served from the hourly rollup.
+  static async series(sensorId, { from, to = new Date(), interval = 'raw' }) {
+    const bucket = this.parseInterval(interval)
+    const match = { sensorId, timestamp: { $gte: from, $lte: to } }
+
+    if (!bucket) {
+      return BinReading.find(match, { _id: 0, timestamp: 1, fillLevel: 1, battery: 1, temperature: 1 })
+        .sort({ timestamp: 1 })
+        .lean()
+    }
+
+    const fromHourly = from < this.rawCutoff()
+    const dateTrunc = { $dateTrunc: { date: '$timestamp', unit: bucket.unit, binSize: bucket.binSize } }
+
+    if (!fromHourly) {
+      return BinReading.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: dateTrunc,
+            count: { $sum: 1 },
+            fillLevel: { $avg: '$fillLevel' },
+            minFillLevel: { $min: '$fillLevel' },
+            maxFillLevel: { $max: '$fillLevel' },
+            battery: { $avg: '$battery' },
+            temperature: { $avg: '$temperature' }
+          }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, timestamp: '$_id', count: 1, fillLevel: 1, minFillLevel: 1, maxFillLevel: 1, battery: 1, temperature: 1 } }
+      ])
+    }
+
+    // Re-bucket hourly rollups, weighting averages by reading count
+    return BinReadingHourly.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: dateTrunc,
+          count: { $sum: '$count' },
+          fillSum: { $sum: { $multiply: ['$fillLevel', '$count'] } },
+          minFillLevel: { $min: '$minFillLevel' },
+          maxFillLevel: { $max: '$maxFillLevel' },
+          battery: { $avg: '$battery' },
+          temperature: { $avg: '$temperature' }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          timestamp: '$_id',
+          count: 1,
+          fillLevel: { $cond: [{ $gt: ['$count', 0] }, { $divide: ['$fillSum', '$count'] }, null] },
+          minFillLevel: 1,
+          maxFillLevel: 1,
+          battery: 1,
+          temperature: 1
+        }
+      }
+    ])
+  }
+
+  // Hours per sensor in which a bin read 100% or more, for reporting
+  static async overflowHours(from, to) {
+    const hourly = from < this.rawCutoff()
+    const source = hourly ? BinReadingHourly : BinReading
+    const rows = await source.aggregate([
+      { $match: { timestamp: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { sensorId: '$sensorId', hour: { $dateTrunc: { date: '$timestamp', unit: 'hour' } } },
+          max: { $max: hourly ? '$maxFillLevel' : '$fillLevel' }
+        }
+      },
+      { $match: { max: { $gte: 100 } } },
+      { $group: { _id: '$_id.sensorId', hours: { $sum: 1 } } }
+    ])
+    return new Map(rows.map(r => [r._id, r.hours]))
+  }
+
+  // Roll up every complete hour since the last rollup (up to the lag) into BinReadingHourly,
+  // plus readings received since the last run for hours already rolled up. Those get an extra
+  // rollup for their hour, which series() and overflowHours() merge by reading count.
+  static async downsample(now = new Date()) {
+    const end = new Date(Math.floor((now.getTime() - this.downsampleLagHours * HOUR_MS) / HOUR_MS) * HOUR_MS)
+    const receivedBefore = new Date(now.getTime() - INSERT_SLACK_MS)
+    const [lastHour, lastRun] = await Promise.all([
+      BinReadingHourly.findOne().sort({ timestamp: -1 }).lean(),
+      BinReadingHourly.findOne({ rolledUpAt: { $ne: null } }).sort({ rolledUpAt: -1 }).lean()
+    ])
+    const start = lastHour ? new Date(lastHour.timestamp.getTime() + HOUR_MS) : this.rawCutoff()
+
+    const ranges = []
+    if (start < end) {
+      // Readings from before receivedAt was recorded have none
+      ranges.push({ timestamp: { $gte: start, $lt: end }, $or: [{ receivedAt: { $lt: receivedBefore } }, { receivedAt: null }] })
+    }
+    if (lastRun) {
+      ranges.push({ timestamp: { $lt: start }, receivedAt: { $gte: lastRun.rolledUpAt, $lt: receivedBefore } })
+    }
+    if (ranges.length === 0) return 0
+
+    const rollups = await BinReading.aggregate([
+      { $match: { $or: ranges } },
+      {
+        $group: {
+          _id: { sensorId: '$sensorId', hour: { $dateTrunc: { date: '$timestamp', unit: 'hour' } } },
+          count: { $sum: 1 },
+          fillLevel: { $avg: '$fillLevel' },
+          minFillLevel: { $min: '$fillLevel' },
+          maxFillLevel: { $max: '$fillLevel' },
+          battery: { $avg: '$battery' },
+          temperature: { $avg: '$temperature' }
+        }
+      }
+    ])
+    if (rollups.length === 0) return 0
+
+    await BinReadingHourly.insertMany(rollups.map(({ _id, ...values }) => ({
+      timestamp: _id.hour,
+      sensorId: _id.sensorId,
+      ...values,
+      rolledUpAt: receivedBefore
+    })))
+    return rollups.length
+  }
+
+  // Run downsampling periodically for the lifetime of the server
+  static start() {
+    const run = () => this.downsample().catch(err => console.error('Reading downsampling failed', err))
+    run()
+    return setInterval(run, this.downsampleEveryMs)
+  }
+}
+
+module.exports = ReadingHistory
@@ -0,0 +1,88 @@
+// Route timing: arrival, waiting and lateness at each stop
+// Times are minutes since midnight on the planned day
+
+class RouteScheduler {
+  // 'HH:mm' -> minutes since midnight
+  static parseClock(clock) {
+    const [hours, minutes] = clock.split(':').map(Number)
+    return hours * 60 + minutes
+  }
+
+  // minutes since midnight -> 'HH:mm'
+  static formatClock(minutes) {
+    const total = Math.round(minutes)
+    const hours = Math.floor(total / 60) % 24
+    return `${String(hours).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+  }
+
+  // Service windows that apply to a bin on a given day of week, in minutes
+  static windowsFor(bin, day) {
+    return (bin.serviceWindows || [])
+      .filter(w => !w.daysOfWeek || w.daysOfWeek.length === 0 || w.daysOfWeek.includes(day))
+      .map(w => ({ start: this.parseClock(w.start), end: this.parseClock(w.end) }))
+      .sort((a, b) => a.start - b.start)
+  }
+
+  // Shift of the truck's driver in minutes
+  static shiftFor(truck) {
+    return {
+      start: this.parseClock(truck.driver?.shiftStart || '06:00'),
+      end: this.parseClock(truck.driver?.shiftEnd || '14:00')
+    }
+  }
+
+  // The driver's shift narrowed to the opening hours of the depot the truck leaves
+  // from and returns to on that day; null when the depot is closed during the shift
+  static workingHoursFor(truck, depot, day) {
+    const shift = this.shiftFor(truck)
+    if (!depot?.openingHours?.length) return shift
+    const hours = this.windowsFor({ serviceWindows: depot.openingHours }, day)
+      .map(w => ({ start: Math.max(shift.start, w.start), end: Math.min(shift.end, w.end) }))
+      .filter(w => w.end > w.start)
+    if (hours.length === 0) return null
+    return hours.reduce((best, w) => (w.end - w.start > best.end - best.start ? w : best))
+  }
+
+  // Walk a tour from departure, waiting for windows to open and recording lateness
+  // options: { day, departMin, shiftEndMin, travelMinutes(from, to), serviceMinutes(bin) }
+  static scheduleTour(start, tour, options) {
+    const { day, departMin, shiftEndMin, travelMinutes, serviceMinutes } = options
+    const stops = []
+    let clock = departMin
+    let current = start
+    let lateMin = 0
+    let drivingMin = 0
+
+    tour.forEach(bin => {
+      const travel = travelMinutes(current, bin)
+      const arrival = clock + travel
+      const windows = this.windowsFor(bin, day)
+      let serviceStart = arrival
+      let late = 0
+
+      if (windows.length > 0) {
+        const open = windows.find(w => arrival <= w.end)
+        if (open) {
+          serviceStart = Math.max(arrival, open.start)
+        } else {
+          late = arrival - windows[windows.length - 1].end
+        }
+      }
+
+      const departure = serviceStart + serviceMinutes(bin)
+      stops.push({ bin, travel, arrival, serviceStart, departure, wait: serviceStart - arrival, late })
+      drivingMin += travel
+      lateMin += late
+      clock = departure
+      current = bin
+    })
+
+    const returnTravel = tour.length > 0 ? travelMinutes(current, start) : 0
+    const returnMin = clock + returnTravel
+    const overShiftMin = Math.max(0, returnMin - shiftEndMin)
+
+    return { stops, returnMin, drivingMin: drivingMin + returnTravel, lateMin, overShiftMin }
+  }
+}
+
+module.exports = RouteScheduler
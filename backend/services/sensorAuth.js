@@ -0,0 +1,65 @@
+// Sensor ingestion credentials: issuing, rotating, revoking and verifying per-device keys
+// A device sends its key as "<keyId>.<secret>"; the key only authorises readings for its own sensorId.
+
+const crypto = require('crypto')
+const SensorKey = require('../models/SensorKey')
+const RejectedReading = require('../models/RejectedReading')
+
+class SensorAuth {
+  static hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex')
+  }
+
+  // Create a new key for a sensor. Existing active keys stay valid for graceHours
+  // (0 = revoked immediately). The secret is only returned here.
+  static async issueKey(sensorId, { graceHours = 0, createdBy } = {}) {
+    const now = new Date()
+    const active = await SensorKey.find({ sensorId, revokedAt: null })
+    for (const key of active) {
+      if (graceHours > 0) {
+        const graceEnd = new Date(now.getTime() + graceHours * 60 * 60 * 1000)
+        if (!key.expiresAt || key.expiresAt > graceEnd) key.expiresAt = graceEnd
+      } else {
+        key.revokedAt = now
+      }
+      await key.save()
+    }
+
+    const keyId = crypto.randomBytes(6).toString('hex')
+    const secret = crypto.randomBytes(24).toString('base64url')
+    const key = await SensorKey.create({ keyId, sensorId, secretHash: this.hash(secret), createdBy })
+    return { key, token: `${keyId}.${secret}` }
+  }
+
+  static async revokeKey(sensorId, keyId) {
+    return SensorKey.findOneAndUpdate({ sensorId, keyId }, { revokedAt: new Date() }, { new: true })
+  }
+
+  // Check a device token for a reading claiming to come from sensorId
+  // Resolves to { key } or { reason, keyId }
+  static async verify(token, sensorId) {
+    if (!token) return { reason: 'missing-key' }
+
+    const [keyId, secret] = token.split('.')
+    const key = keyId && secret ? await SensorKey.findOne({ keyId }) : null
+    if (!key) return { reason: 'unknown-key', keyId }
+
+    const expected = Buffer.from(key.secretHash, 'hex')
+    const actual = Buffer.from(this.hash(secret), 'hex')
+    if (!crypto.timingSafeEqual(expected, actual)) return { reason: 'unknown-key', keyId }
+    if (key.revokedAt) return { reason: 'revoked-key', keyId }
+    if (key.expiresAt && key.expiresAt <= new Date()) return { reason: 'expired-key', keyId }
+    if (key.sensorId !== sensorId) return { reason: 'sensor-mismatch', keyId }
+
+    key.lastUsedAt = new Date()
+    await key.save()
+    return { key }
+  }
+
+  // Log a refused reading with the reason
+  static async reject({ sensorId, keyId, reason, source = 'http', ip, payload }) {
+    return RejectedReading.create({ sensorId, keyId, reason, source, ip, payload })
+  }
+}
+
+module.exports = SensorAuth
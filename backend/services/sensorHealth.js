@@ -0,0 +1,170 @@
+// Background sensor health monitor
+// Flags bins whose sensor has gone silent, is stuck on one value, dropped sharply without
+// a collection, or reports values outside the physical range, and stores the result on the bin.
+
+const Bin = require('../models/Bin')
+const BinReading = require('../models/BinReading')
+const Collection = require('../models/Collection')
+const RoutePlan = require('../models/RoutePlan')
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Silent and out-of-range sensors cannot be trusted at all; stuck or jumping ones are suspect
+const SEVERITY = { silent: 'fault', 'out-of-range': 'fault', stuck: 'warning', jump: 'warning' }
+
+class SensorHealth {
+  // No reading for this long = silent
+  static silentHours = parseFloat(process.env.SENSOR_SILENT_HOURS) || 6
+
+  // Same fill level for this long (and at least minStuckReadings readings) = stuck
+  static stuckDays = parseFloat(process.env.SENSOR_STUCK_DAYS) || 3
+  static minStuckReadings = 3
+
+  // Drop in percentage points between consecutive readings that needs a collection to explain it
+  static maxDrop = parseFloat(process.env.SENSOR_MAX_DROP) || 50
+
+  // A collection recorded this close to a drop explains it
+  static collectionSlackHours = 2
+
+  // Plausible sensor values; sensors may read somewhat over 100% when a bin overflows
+  static fillRange = [0, parseFloat(process.env.SENSOR_MAX_FILL) || 120]
+  static batteryRange = [0, 100]
+
+  static checkEveryMs = (parseInt(process.env.SENSOR_HEALTH_INTERVAL_MIN) || 15) * 60 * 1000
+
+  static inRange(value, [min, max]) {
+    return value === undefined || value === null || (value >= min && value <= max)
+  }
+
+  // Readings are oldest first; collections are the times this bin was emptied.
+  // Returns [{ code, message, since }]
+  static detect(bin, readings, collections, now = new Date()) {
+    const issues = []
+
+    const lastSeen = bin.lastSeenAt ? new Date(bin.lastSeenAt) : null
+    if (!lastSeen || now - lastSeen > this.silentHours * HOUR_MS) {
+      issues.push({
+        code: 'silent',
+        message: lastSeen
+          ? `No reading for ${Math.round((now - lastSeen) / HOUR_MS)} h`
+          : 'Never reported',
+        since: lastSeen || undefined
+      })
+    }
+
+    const outOfRange = readings.filter(r => !this.inRange(r.fillLevel, this.fillRange) || !this.inRange(r.battery, this.batteryRange))
+    if (outOfRange.length > 0) {
+      const latest = outOfRange[outOfRange.length - 1]
+      issues.push({
+        code: 'out-of-range',
+        message: `${outOfRange.length} reading(s) out of range, latest fill ${latest.fillLevel}%${latest.battery !== undefined ? `, battery ${latest.battery}%` : ''}`,
+        since: outOfRange[0].timestamp
+      })
+    }
+
+    // Trailing run of identical readings
+    if (readings.length >= this.minStuckReadings) {
+      const latest = readings[readings.length - 1]
+      let first = readings.length - 1
+      while (first > 0 && readings[first - 1].fillLevel === latest.fillLevel) first--
+      const runMs = latest.timestamp - readings[first].timestamp
+      if (readings.length - first >= this.minStuckReadings && runMs >= this.stuckDays * DAY_MS) {
+        issues.push({
+          code: 'stuck',
+          message: `Stuck at ${latest.fillLevel}% for ${(runMs / DAY_MS).toFixed(1)} days`,
+          since: readings[first].timestamp
+        })
+      }
+    }
+
+    const slack = this.collectionSlackHours * HOUR_MS
+    const jumps = []
+    for (let i = 1; i < readings.length; i++) {
+      const prev = readings[i - 1]
+      const next = readings[i]
+      if (prev.fillLevel - next.fillLevel < this.maxDrop) continue
+      const collected = collections.some(at => at >= prev.timestamp - slack && at <= next.timestamp.getTime() + slack)
+      if (!collected) jumps.push({ prev, next })
+    }
+    if (jumps.length > 0) {
+      const { prev, next } = jumps[jumps.length - 1]
+      issues.push({
+        code: 'jump',
+        message: `Dropped from ${prev.fillLevel}% to ${next.fillLevel}% without a collection`,
+        since: jumps[0].next.timestamp
+      })
+    }
+
+    return issues
+  }
+
+  static statusFor(issues) {
+    if (issues.some(issue => SEVERITY[issue.code] === 'fault')) return 'fault'
+    if (issues.length > 0) return 'warning'
+    return 'ok'
+  }
+
+  // When each bin was emptied since from, by sensorId: logged collections, the bin's last
+  // service, stops serviced on a route and collections confirmed by the bin's sensor
+  static async collectionTimes(bins, from) {
+    const times = new Map(bins.map(bin => [bin.sensorId, bin.lastServicedAt ? [bin.lastServicedAt.getTime()] : []]))
+    const sensorOf = new Map(bins.map(bin => [bin._id.toString(), bin.sensorId]))
+    const add = (sensorId, at) => times.get(sensorId)?.push(new Date(at).getTime())
+
+    const serviced = { status: { $in: ['serviced', 'partial'] }, completedAt: { $gte: from } }
+    const confirmed = { sensorConfirmedAt: { $gte: from } }
+    const [collections, stops] = await Promise.all([
+      Collection.find({ date: { $gte: from } }, { date: 1, bins: 1 }).lean(),
+      RoutePlan.aggregate([
+        { $match: { 'routes.stops': { $elemMatch: { $or: [serviced, confirmed] } } } },
+        { $unwind: '$routes' },
+        { $unwind: '$routes.stops' },
+        { $replaceRoot: { newRoot: '$routes.stops' } },
+        { $match: { $or: [serviced, confirmed] } },
+        { $project: { _id: 0, sensorId: 1, status: 1, completedAt: 1, sensorConfirmedAt: 1 } }
+      ])
+    ])
+    collections.forEach(c => c.bins.forEach(id => add(sensorOf.get(id.toString()), c.date)))
+    stops.forEach(stop => {
+      if (['serviced', 'partial'].includes(stop.status) && stop.completedAt >= from) add(stop.sensorId, stop.completedAt)
+      if (stop.sensorConfirmedAt) add(stop.sensorId, stop.sensorConfirmedAt)
+    })
+    return times
+  }
+
+  // Check every bin; bins whose health status changed are pushed as binUpdate.
+  // Readings are loaded one bin at a time to keep memory flat as the fleet grows.
+  static async check({ now = new Date(), io } = {}) {
+    const from = new Date(now.getTime() - this.stuckDays * DAY_MS - DAY_MS)
+    const bins = await Bin.find()
+    const collections = await this.collectionTimes(bins, from)
+
+    let changed = 0
+    for (const bin of bins) {
+      const readings = await BinReading.find(
+        { sensorId: bin.sensorId, timestamp: { $gte: from, $lte: now } },
+        { _id: 0, timestamp: 1, fillLevel: 1, battery: 1 }
+      ).sort({ timestamp: 1 }).lean()
+      const issues = this.detect(bin, readings, collections.get(bin.sensorId) || [], now)
+      const status = this.statusFor(issues)
+      const previous = bin.sensorHealth?.status
+      bin.sensorHealth = { status, issues, checkedAt: now }
+      await Bin.updateOne({ _id: bin._id }, { $set: { sensorHealth: bin.sensorHealth } }, { timestamps: false })
+      if (previous !== status) {
+        changed++
+        io?.emit('binUpdate', bin)
+      }
+    }
+    return changed
+  }
+
+  // Run the monitor periodically for the lifetime of the server
+  static start({ io } = {}) {
+    const run = () => this.check({ io }).catch(err => console.error('Sensor health check failed', err))
+    run()
+    return setInterval(run, this.checkEveryMs)
+  }
+}
+
+module.exports = SensorHealth
@@ -0,0 +1,38 @@
+const fs = require('fs/promises')
+const path = require('path')
+const crypto = require('crypto')
+
+// Proof-of-service photos: drivers send them as base64 data URLs, they are kept on
+// disk under uploads/stops and served from /uploads
+
+class StopPhotos {
+  static dir = path.join(__dirname, '..', 'uploads', 'stops')
+  static extensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }
+  static maxBytes = 5 * 1024 * 1024
+
+  static parse(dataUrl) {
+    const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl)
+    if (!match || !this.extensions[match[1]]) return null
+    return { extension: this.extensions[match[1]], data: Buffer.from(match[2], 'base64') }
+  }
+
+  // Why dataUrl cannot be stored, or null when it can
+  static error(dataUrl) {
+    if (typeof dataUrl !== 'string') return 'photo must be a data URL'
+    const photo = this.parse(dataUrl)
+    if (!photo) return 'photo must be a JPEG, PNG or WebP data URL'
+    if (photo.data.length > this.maxBytes) return 'photo must be 5 MB or smaller'
+    return null
+  }
+
+  // Store a photo checked with error() and return the path it is served from
+  static async save(dataUrl) {
+    const { extension, data } = this.parse(dataUrl)
+    const name = `${crypto.randomUUID()}.${extension}`
+    await fs.mkdir(this.dir, { recursive: true })
+    await fs.writeFile(path.join(this.dir, name), data)
+    return `/uploads/stops/${name}`
+  }
+}
+
+module.exports = StopPhotos
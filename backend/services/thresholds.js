@@ -0,0 +1,90 @@
+// Fill-status thresholds shared by ingestion, forecasting, the optimizer and the UI
+// Effective cut-offs for a bin: global defaults <- its bin type's overrides <- its own overrides.
+// The configuration is cached briefly so synchronous callers (optimizer, forecaster) can resolve it.
+
+const ThresholdConfig = require('../models/ThresholdConfig')
+
+const LEVELS = ['half', 'full', 'priority']
+
+class FillThresholds {
+  static defaults = { half: 25, full: 70, priority: 100 }
+
+  static cacheMs = 60 * 1000
+
+  static cached = { defaults: FillThresholds.defaults, binTypes: [] }
+  static loadedAt = 0
+
+  // Current configuration, reloaded from the database when the cache is stale
+  static async current() {
+    if (Date.now() - this.loadedAt < this.cacheMs) return this.cached
+    const config = await ThresholdConfig.findOne({ key: 'fill-thresholds' }).lean()
+    this.cached = {
+      defaults: { ...this.defaults, ...pick(config?.defaults) },
+      binTypes: config?.binTypes || []
+    }
+    this.loadedAt = Date.now()
+    return this.cached
+  }
+
+  // Effective { half, full, priority } for a bin
+  static resolve(bin, config = this.cached) {
+    const typeOverride = config.binTypes.find(t => t.binType === bin.binType)
+    return { ...config.defaults, ...pick(typeOverride), ...pick(bin.fillThresholds) }
+  }
+
+  static statusFor(fillLevel, thresholds) {
+    if (fillLevel >= thresholds.priority) return 'Priority'
+    if (fillLevel >= thresholds.full) return 'Full'
+    if (fillLevel >= thresholds.half) return 'Half'
+    return 'Empty'
+  }
+
+  static needsCollection(bin, config = this.cached) {
+    return bin.fillLevel >= this.resolve(bin, config).full
+  }
+
+  static isPriority(bin, config = this.cached) {
+    return bin.fillLevel >= this.resolve(bin, config).priority
+  }
+
+  // Check a (possibly partial) threshold set once merged with what it overrides; returns an error message or null
+  static validate(thresholds, base = this.defaults) {
+    const merged = { ...base, ...pick(thresholds) }
+    for (const level of LEVELS) {
+      if (!Number.isFinite(merged[level]) || merged[level] < 0 || merged[level] > 150) {
+        return `${level} threshold must be a number between 0 and 150`
+      }
+    }
+    if (!(merged.half < merged.full && merged.full <= merged.priority)) {
+      return 'Thresholds must satisfy half < full <= priority'
+    }
+    return null
+  }
+
+  // Replace the stored configuration; resolves to the new configuration
+  static async update({ defaults, binTypes = [] }, updatedBy) {
+    const mergedDefaults = { ...this.defaults, ...pick(defaults) }
+    const error = this.validate(mergedDefaults) ||
+      binTypes.map(t => (t.binType ? this.validate(t, mergedDefaults) : 'binType is required')).find(Boolean)
+    if (error) throw new Error(error)
+
+    await ThresholdConfig.findOneAndUpdate(
+      { key: 'fill-thresholds' },
+      { defaults: mergedDefaults, binTypes: binTypes.map(t => ({ binType: t.binType, ...pick(t) })), updatedBy },
+      { upsert: true, new: true, runValidators: true }
+    )
+    this.loadedAt = 0
+    return this.current()
+  }
+}
+
+// Keep only the threshold levels that are set
+function pick(source) {
+  const picked = {}
+  LEVELS.forEach(level => {
+    if (source?.[level] !== undefined && source[level] !== null && source[level] !== '') picked[level] = Number(source[level])
+  })
+  return picked
+}
+
+module.exports = FillThresholds
@@ -0,0 +1,194 @@
+// Live truck tracking: GPS pings are kept as position history, the latest one is stored
+// on the truck and pushed to dashboards with the truck's progress along its planned route
+
+const Truck = require('../models/Truck')
+const TruckPosition = require('../models/TruckPosition')
+const RoutePlan = require('../models/RoutePlan')
+const Bin = require('../models/Bin')
+const Depot = require('../models/Depot')
+const Facility = require('../models/Facility')
+const RouteOptimizer = require('./optimizer')
+const StopArrivals = require('./arrivals')
+const { pointFromLatLng } = require('../models/schemas/point')
+
+const KM_PER_DEGREE = 111.32
+
+class FleetTracking {
+  // Further than this from every leg of the planned route = off route. Legs are straight
+  // lines between stops, so this leaves room for the road winding between them.
+  static offRouteKm = parseFloat(process.env.OFF_ROUTE_KM) || 1
+
+  static maxPingsPerRequest = 500
+
+  static isSet(value) {
+    return value !== undefined && value !== null
+  }
+
+  // Why ping { lat, lng, speedKmh?, heading?, accuracyM?, timestamp? } cannot be stored, or null
+  static pingError(ping) {
+    const { lat, lng, speedKmh, heading, accuracyM, timestamp } = ping || {}
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) return 'lat must be a number between -90 and 90'
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) return 'lng must be a number between -180 and 180'
+    if (this.isSet(speedKmh) && !(Number.isFinite(speedKmh) && speedKmh >= 0)) return 'speedKmh must be 0 or more'
+    if (this.isSet(heading) && !(Number.isFinite(heading) && heading >= 0 && heading <= 360)) {
+      return 'heading must be between 0 and 360'
+    }
+    if (this.isSet(accuracyM) && !(Number.isFinite(accuracyM) && accuracyM >= 0)) return 'accuracyM must be 0 or more'
+    if (this.isSet(timestamp) && isNaN(new Date(timestamp))) return 'timestamp must be a date'
+    return null
+  }
+
+  // Store pings checked with pingError, move the truck to the newest and follow it through
+  // its route's stop geofences; returns its live entry
+  static async record(truck, pings, io) {
+    const positions = pings.map(ping => ({
+      timestamp: this.isSet(ping.timestamp) ? new Date(ping.timestamp) : new Date(),
+      truckId: truck._id,
+      location: pointFromLatLng(ping.lat, ping.lng),
+      speedKmh: ping.speedKmh,
+      heading: ping.heading,
+      accuracyM: ping.accuracyM
+    }))
+    await TruckPosition.insertMany(positions)
+
+    // Buffered pings can arrive after newer ones; only those after the last known position
+    // move the truck through geofences
+    const previous = truck.positionAt ? { ...RouteOptimizer.toLatLng(truck), timestamp: truck.positionAt } : null
+    const fresh = positions
+      .filter(p => !previous || p.timestamp > previous.timestamp)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(p => ({ ...RouteOptimizer.toLatLng(p), timestamp: p.timestamp }))
+
+    const latest = positions.reduce((a, b) => (b.timestamp > a.timestamp ? b : a))
+    if (!truck.positionAt || latest.timestamp > truck.positionAt) {
+      truck.location = latest.location
+      truck.positionAt = latest.timestamp
+      truck.speedKmh = latest.speedKmh
+      truck.heading = latest.heading
+      await truck.save()
+    }
+    if (fresh.length > 0) await this.detectArrivals(truck, fresh, previous, io)
+    return this.liveEntry(truck)
+  }
+
+  // Mark the stops of the truck's active route it has dwelt at (see StopArrivals.track)
+  static async detectArrivals(truck, pings, previous, io) {
+    const active = await this.activeRoute(truck._id)
+    if (!active) return
+    const { plan, route } = active
+    const serviced = StopArrivals.track(plan, route, await this.routePath(route), pings, previous)
+    if (!plan.isModified()) return
+    await plan.save()
+    await StopArrivals.announce(plan, route, serviced, io)
+  }
+
+  // The dispatched or running route of a truck, if any: { plan, route }
+  static async activeRoute(truckId) {
+    const running = ['dispatched', 'in-progress']
+    const plan = await RoutePlan.findOne({
+      status: { $in: running },
+      routes: { $elemMatch: { truckId, status: { $in: running } } }
+    }).sort({ dispatchedAt: -1 })
+    if (!plan) return null
+    return { plan, route: plan.routes.find(r => r.truckId?.equals(truckId) && running.includes(r.status)) }
+  }
+
+  // Planned path with coordinates: home depot, stops in visit order, home depot
+  static async routePath(route) {
+    const stops = [...route.stops].sort((a, b) => a.order - b.order)
+    const [bins, facilities, depot] = await Promise.all([
+      Bin.find({ sensorId: { $in: stops.map(s => s.sensorId).filter(Boolean) } }, 'sensorId location'),
+      Facility.find({ _id: { $in: stops.map(s => s.facilityId).filter(Boolean) } }, 'location'),
+      route.depotId ? Depot.findById(route.depotId, 'name location') : null
+    ])
+    const placeOf = (stop) => (stop.kind === 'disposal'
+      ? facilities.find(f => f._id.equals(stop.facilityId))
+      : bins.find(b => b.sensorId === stop.sensorId))
+
+    const points = stops
+      .map(stop => ({
+        ...RouteOptimizer.toLatLng(placeOf(stop)),
+        stopId: stop._id,
+        order: stop.order,
+        kind: stop.kind,
+        sensorId: stop.sensorId,
+        locationName: stop.locationName,
+        status: stop.status,
+        eta: stop.eta
+      }))
+      .filter(point => point.lat !== undefined)
+    const home = RouteOptimizer.toLatLng(depot)
+    if (!home) return points
+    const depotPoint = { ...home, kind: 'depot', locationName: depot.name }
+    return [depotPoint, ...points, depotPoint]
+  }
+
+  // Distance in km from p to the straight leg from a to b, on a flat projection around p
+  static distanceToLegKm(p, a, b) {
+    const kmPerDegreeLng = KM_PER_DEGREE * Math.cos(p.lat * Math.PI / 180)
+    const toXY = (q) => ({ x: (q.lng - p.lng) * kmPerDegreeLng, y: (q.lat - p.lat) * KM_PER_DEGREE })
+    const from = toXY(a)
+    const to = toXY(b)
+    const dx = to.x - from.x
+    const dy = to.y - from.y
+    const lengthSq = dx * dx + dy * dy
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(from.x * dx + from.y * dy) / lengthSq)) : 0
+    return Math.hypot(from.x + t * dx, from.y + t * dy)
+  }
+
+  // Where the truck is relative to its route: distance from the planned path, the next
+  // bin still to service, straight-line km to it and minutes behind its ETA
+  static progress(path, position, now = new Date()) {
+    const legs = path.slice(1).map((to, i) => [path[i], to])
+    const offRouteKm = legs.length > 0
+      ? Math.min(...legs.map(([a, b]) => this.distanceToLegKm(position, a, b)))
+      : null
+    const next = path.find(point => point.kind === 'bin' && (!point.status || point.status === 'pending'))
+    return {
+      offRouteKm: offRouteKm === null ? null : Math.round(offRouteKm * 100) / 100,
+      offRoute: offRouteKm !== null && offRouteKm > this.offRouteKm,
+      nextStop: next ? { stopId: next.stopId, sensorId: next.sensorId, locationName: next.locationName, eta: next.eta } : null,
+      kmToNextStop: next ? Math.round(RouteOptimizer.haversine(position, next) * 100) / 100 : null,
+      behindMin: next?.eta ? Math.max(0, Math.round((now - next.eta) / 60000)) : 0
+    }
+  }
+
+  // What the live fleet view shows for one truck
+  static async liveEntry(truck) {
+    const position = truck.positionAt
+      ? { ...RouteOptimizer.toLatLng(truck), speedKmh: truck.speedKmh, heading: truck.heading, at: truck.positionAt }
+      : null
+    const entry = { truckId: truck._id, plate: truck.plate, status: truck.status, position, route: null, progress: null }
+
+    const active = await this.activeRoute(truck._id)
+    if (!active) return entry
+    const path = await this.routePath(active.route)
+    entry.route = {
+      planId: active.plan._id,
+      routeId: active.route._id,
+      status: active.route.status,
+      wasteStream: active.route.wasteStream,
+      path
+    }
+    if (position) entry.progress = this.progress(path, position)
+    return entry
+  }
+
+  static async fleet() {
+    const trucks = await Truck.find({ status: 'Active' }).sort({ plate: 1 })
+    return Promise.all(trucks.map(truck => this.liveEntry(truck)))
+  }
+
+  // Positions of one truck between from and to, oldest first
+  static async history(truckId, from, to) {
+    const positions = await TruckPosition.find({ truckId, timestamp: { $gte: from, $lte: to } }).sort({ timestamp: 1 })
+    return positions.map(p => ({
+      ...RouteOptimizer.toLatLng(p),
+      speedKmh: p.speedKmh,
+      heading: p.heading,
+      at: p.timestamp
+    }))
+  }
+}
+
+module.exports = FleetTracking
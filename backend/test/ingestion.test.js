@@ -0,0 +1,95 @@
+// Batch ingestion of buffered gateway readings: validation, reading id de-duplication and
+// per-item failures. Storage is replaced with in-memory stand-ins so no database is needed.
+
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const SensorIngestion = require('../services/ingestion')
+const SensorAuth = require('../services/sensorAuth')
+const FillForecaster = require('../services/forecast')
+const ProcessedReading = require('../models/ProcessedReading')
+const Bin = require('../models/Bin')
+
+const stubbed = []
+function stub(object, name, fn) {
+  stubbed.push([object, name, object[name]])
+  object[name] = fn
+}
+
+let processed, applied, failNext
+
+beforeEach(() => {
+  processed = new Set()
+  applied = []
+  failNext = null
+
+  stub(ProcessedReading, 'create', async ({ sensorId, readingId }) => {
+    const id = `${sensorId}|${readingId}`
+    if (processed.has(id)) throw Object.assign(new Error('duplicate key'), { code: 11000 })
+    processed.add(id)
+  })
+  stub(ProcessedReading, 'deleteOne', async ({ sensorId, readingId }) => {
+    processed.delete(`${sensorId}|${readingId}`)
+  })
+  stub(SensorAuth, 'verify', async (token) => {
+    if (token === 'broken') throw new Error('key store unavailable')
+    return token === 'good' ? { key: {} } : { reason: 'unknown-key', keyId: token }
+  })
+  stub(SensorAuth, 'reject', async () => {})
+  stub(SensorIngestion, 'apply', async (reading) => {
+    if (failNext) {
+      const err = failNext
+      failNext = null
+      throw err
+    }
+    applied.push(reading.readingId)
+    return { status: reading.sensorId === 'S-404' ? 'not-found' : 'applied', bin: {}, previousFillLevel: 10 }
+  })
+  stub(SensorIngestion, 'confirmCollection', async () => {})
+  stub(Bin, 'findOne', async ({ sensorId }) => ({ sensorId }))
+  stub(FillForecaster, 'refresh', async (bin) => bin)
+})
+
+afterEach(() => {
+  stubbed.splice(0).reverse().forEach(([object, name, original]) => { object[name] = original })
+})
+
+const reading = (readingId, fields = {}) => ({ readingId, sensorId: 'S-1', fillLevel: 40, timestamp: new Date().toISOString(), ...fields })
+const statuses = (results) => results.map(r => r.status)
+
+test('a reading id is applied once, within a batch and across batches', async () => {
+  const first = await SensorIngestion.ingestBatch([reading('r1'), reading('r1'), reading('r2')], { key: 'good' })
+  assert.deepStrictEqual(statuses(first), ['applied', 'duplicate', 'applied'])
+  const replay = await SensorIngestion.ingestBatch([reading('r1'), reading('r2'), reading('r3')], { key: 'good' })
+  assert.deepStrictEqual(statuses(replay), ['duplicate', 'duplicate', 'applied'])
+  assert.deepStrictEqual(applied, ['r1', 'r2', 'r3'])
+})
+
+test('a reading that fails to apply is reported and accepted when sent again', async () => {
+  failNext = new Error('write conflict')
+  const results = await SensorIngestion.ingestBatch([reading('r1'), reading('r2')], { key: 'good' })
+  assert.deepStrictEqual(statuses(results), ['error', 'applied'])
+  assert.strictEqual(results[0].error, 'write conflict')
+
+  const retry = await SensorIngestion.ingestBatch([reading('r1')], { key: 'good' })
+  assert.deepStrictEqual(statuses(retry), ['applied'])
+})
+
+test('readings for unknown bins are not remembered as processed', async () => {
+  const results = await SensorIngestion.ingestBatch([reading('r1', { sensorId: 'S-404' })], { key: 'good' })
+  assert.deepStrictEqual(statuses(results), ['not-found'])
+  assert.strictEqual(processed.size, 0)
+})
+
+test('bad items fail alone', async () => {
+  const results = await SensorIngestion.ingestBatch([
+    reading('r1', { key: 42 }),
+    reading('r2', { key: 'bad' }),
+    reading('r3', { key: 'broken' }),
+    reading('r4', { fillLevel: 'full' }),
+    reading('r5')
+  ], { key: 'good' })
+  assert.deepStrictEqual(statuses(results), ['invalid', 'rejected', 'error', 'invalid', 'applied'])
+  assert.strictEqual(results[0].error, 'key must be a string')
+  assert.strictEqual(results[2].error, 'key store unavailable')
+  assert.deepStrictEqual(applied, ['r5'])
+})
@@ -0,0 +1,105 @@
+// MQTT gateway against an embedded Aedes broker. Ingestion and key checks are replaced
+// with recorders so no database is needed.
+
+const { test, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const net = require('node:net')
+const { once } = require('node:events')
+const mqtt = require('mqtt')
+const MqttGateway = require('../services/mqttGateway')
+const SensorAuth = require('../services/sensorAuth')
+const SensorIngestion = require('../services/ingestion')
+
+const TOPICS = [
+  { pattern: 'bins/{sensorId}/fill', format: 'json' },
+  { pattern: 'site/+/{sensorId}/level', format: 'csv' }
+]
+
+let broker, server, gateway, publisher
+let ingested, rejected
+
+// Replaced for these tests only and put back afterwards
+const originals = {
+  ingest: SensorIngestion.ingest,
+  verify: SensorAuth.verify,
+  reject: SensorAuth.reject
+}
+
+// Resolves with the next ingested reading or rejection
+const next = (list) => new Promise(resolve => { list.onPush = resolve })
+const record = (list) => (item) => {
+  list.push(item)
+  list.onPush?.(item)
+}
+
+before(async () => {
+  const { Aedes } = await import('aedes')
+  broker = await Aedes.createBroker()
+  server = net.createServer(broker.handle)
+  server.listen(0)
+  await once(server, 'listening')
+  const url = `mqtt://127.0.0.1:${server.address().port}`
+
+  SensorIngestion.ingest = async (reading) => { record(ingested)(reading); return { sensorId: reading.sensorId } }
+  SensorAuth.verify = async (key) => (key === 'good' ? { keyId: 'k1' } : { keyId: 'k1', reason: 'invalid-key' })
+  SensorAuth.reject = async (attempt) => record(rejected)(attempt)
+
+  gateway = await MqttGateway.start({ url, topics: TOPICS })
+  publisher = await mqtt.connectAsync(url)
+})
+
+after(async () => {
+  await publisher?.endAsync()
+  await gateway?.endAsync()
+  await new Promise(resolve => broker.close(resolve))
+  server.close()
+  SensorIngestion.ingest = originals.ingest
+  SensorAuth.verify = originals.verify
+  SensorAuth.reject = originals.reject
+})
+
+beforeEach(() => {
+  ingested = []
+  rejected = []
+})
+
+test('feeds a JSON reading through ingestion', async () => {
+  const reading = next(ingested)
+  await publisher.publishAsync('bins/S-1/fill', JSON.stringify({ fillLevel: 72, battery: 3.6, key: 'good' }), { qos: 1 })
+  assert.deepStrictEqual(await reading, { fillLevel: 72, battery: 3.6, temperature: undefined, key: 'good', sensorId: 'S-1' })
+})
+
+test('reads the sensor id from the configured pattern and parses csv', async () => {
+  const reading = next(ingested)
+  await publisher.publishAsync('site/north/S-2/level', '40, 3.1, 28, good', { qos: 1 })
+  const { sensorId, fillLevel, temperature } = await reading
+  assert.deepStrictEqual({ sensorId, fillLevel, temperature }, { sensorId: 'S-2', fillLevel: 40, temperature: 28 })
+})
+
+test('rejects payloads without a fill level', async () => {
+  const attempt = next(rejected)
+  await publisher.publishAsync('bins/S-3/fill', 'not json', { qos: 1 })
+  const { sensorId, reason, source } = await attempt
+  assert.deepStrictEqual({ sensorId, reason, source }, { sensorId: 'S-3', reason: 'invalid-payload', source: 'mqtt' })
+  assert.strictEqual(ingested.length, 0)
+})
+
+test('rejects readings with a bad device key', async () => {
+  const attempt = next(rejected)
+  await publisher.publishAsync('bins/S-4/fill', JSON.stringify({ fillLevel: 10, key: 'bad' }), { qos: 1 })
+  assert.strictEqual((await attempt).reason, 'invalid-key')
+  assert.strictEqual(ingested.length, 0)
+})
+
+test('parseTopics falls back to the default and validates MQTT_TOPICS', () => {
+  assert.deepStrictEqual(MqttGateway.parseTopics(''), [{ pattern: 'bins/{sensorId}/fill', format: 'json' }])
+  assert.deepStrictEqual(MqttGateway.parseTopics('[{"pattern":"a/{sensorId}"}]'), [{ pattern: 'a/{sensorId}' }])
+  assert.throws(() => MqttGateway.parseTopics('[{pattern}]'), /not valid JSON/)
+  assert.throws(() => MqttGateway.parseTopics('{"pattern":"a/{sensorId}"}'), /non-empty JSON array/)
+  assert.throws(() => MqttGateway.parseTopics('[{"format":"json"}]'), /needs a pattern/)
+})
+
+test('start rejects invalid topic configuration instead of throwing', async () => {
+  await assert.rejects(MqttGateway.start({ url: 'mqtt://127.0.0.1:1', topics: [{ pattern: 'bins/fill' }] }), /\{sensorId\} placeholder/)
+  await assert.rejects(MqttGateway.start({ url: 'mqtt://127.0.0.1:1', topics: [{ pattern: 'bins/{sensorId}', format: 'xml' }] }), /Unknown MQTT payload format/)
+})
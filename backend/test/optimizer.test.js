@@ -0,0 +1,77 @@
+// Route construction outcomes that dispatchers see: which bins were left out and why,
+// and how much improvement work one plan may do
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const RouteOptimizer = require('../services/optimizer')
+
+const point = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] })
+
+const depot = { _id: 'd1', name: 'Kilinochchi depot', location: point(9.39, 80.4) }
+
+// Full 240 L bins around the depot
+const bins = (count, wasteStream = 'general') => Array.from({ length: count }, (_, i) => ({
+  sensorId: `${wasteStream}-${i}`,
+  locationName: `Bin ${i}`,
+  fillLevel: 95,
+  volume: 240,
+  wasteStream,
+  location: point(9.38 + i * 0.004, 80.39 + (i % 3) * 0.004)
+}))
+
+const truck = (plate, fields = {}) => ({ _id: plate, plate, model: 'Tata Ultra', status: 'Active', capacity: 10000, wasteStreams: ['general'], ...fields })
+
+const reasons = (result) => [...new Set(result.unassignedBins.map(b => b.reason))]
+
+test('bins left over from a full truck are unassigned for capacity', () => {
+  const result = RouteOptimizer.optimizeMultiRoute(bins(6), [truck('NP-1', { capacity: 500 })], [depot])
+  assert.strictEqual(result.routes.length, 1)
+  assert.ok(result.unassignedBins.length > 0)
+  assert.deepStrictEqual(reasons(result), ['capacity'])
+})
+
+test('a truck without a capacity is left out without hiding why the rest did not fit', () => {
+  const result = RouteOptimizer.optimizeMultiRoute(bins(6), [truck('NP-1', { capacity: 500 }), truck('NP-2', { capacity: undefined })], [depot])
+  assert.deepStrictEqual(result.routes.map(r => r.truckPlate), ['NP-1'])
+  assert.deepStrictEqual(reasons(result), ['capacity'])
+})
+
+test('bins are unassigned for no-capacity when no active truck has a capacity', () => {
+  const result = RouteOptimizer.optimizeMultiRoute(bins(2), [truck('NP-1', { capacity: 0 })], [depot])
+  assert.strictEqual(result.routes.length, 0)
+  assert.deepStrictEqual(reasons(result), ['no-capacity'])
+})
+
+test('bins are unassigned for no-truck without active trucks', () => {
+  const result = RouteOptimizer.optimizeMultiRoute(bins(2), [truck('NP-1', { status: 'In Maintenance' })], [depot])
+  assert.deepStrictEqual(reasons(result), ['no-truck'])
+})
+
+test('bins are unassigned for depot-closed when no truck can leave its depot', () => {
+  const date = new Date('2026-10-19T08:00:00')
+  const closed = { ...depot, openingHours: [{ start: '06:00', end: '14:00', daysOfWeek: [(date.getDay() + 1) % 7] }] }
+  const result = RouteOptimizer.optimizeMultiRoute(bins(2), [truck('NP-1')], [closed], { date })
+  assert.deepStrictEqual(reasons(result), ['depot-closed'])
+})
+
+test('streams without a truck carrying them are unassigned for no-truck', () => {
+  const result = RouteOptimizer.optimizeByStream([...bins(2), ...bins(2, 'organic')], [truck('NP-1')], [depot])
+  assert.deepStrictEqual(result.routes.map(r => r.wasteStream), ['general'])
+  assert.deepStrictEqual(result.unassignedBins.map(b => [b.wasteStream, b.reason]), [['organic', 'no-truck'], ['organic', 'no-truck']])
+})
+
+test('every stream of a plan shares one improvement budget', () => {
+  const trucks = [truck('NP-1'), truck('NP-2'), truck('NP-3', { wasteStreams: ['organic'] }), truck('NP-4', { wasteStreams: ['organic'] })]
+  const result = RouteOptimizer.optimizeByStream([...bins(12), ...bins(12, 'organic')], trucks, [depot], { maxIterations: 3 })
+  assert.ok(result.improvement.iterations <= 3, `${result.improvement.iterations} iterations`)
+})
+
+test('workload spread compares trucks within a stream', () => {
+  const routes = [
+    { truckId: 'NP-1', wasteStream: 'general', binSensorIds: ['a', 'b', 'c'], estimatedTimeMin: 120 },
+    { truckId: 'NP-2', wasteStream: 'general', binSensorIds: ['d'], estimatedTimeMin: 90 },
+    { truckId: 'NP-3', wasteStream: 'organic', binSensorIds: ['e'], estimatedTimeMin: 30 }
+  ]
+  assert.deepStrictEqual(RouteOptimizer.workloadSpread(routes), { metric: 'time', min: 90, max: 120, spread: 30 })
+  assert.deepStrictEqual(RouteOptimizer.workloadSpread(routes, 'stops'), { metric: 'stops', min: 1, max: 3, spread: 2 })
+})
@@ -0,0 +1,85 @@
+// Plan and route status moves, driven the way the routes and stop recording drive them
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const PlanLifecycle = require('../services/planLifecycle')
+
+const user = { id: 'u1', username: 'dispatcher' }
+
+const stop = (sensorId) => ({ sensorId, kind: 'bin', status: 'pending' })
+
+function dispatchedPlan() {
+  const plan = {
+    status: 'approved',
+    history: [],
+    routes: [
+      { _id: 'r1', truckPlate: 'NP-1', status: 'planned', stops: [stop('S-1'), stop('S-2')] },
+      { _id: 'r2', truckPlate: 'NP-2', status: 'planned', stops: [stop('S-3')] }
+    ]
+  }
+  PlanLifecycle.transitionPlan(plan, 'dispatched', user)
+  return plan
+}
+
+const serviced = { status: 'serviced', recordedAt: new Date() }
+
+test('dispatching moves every route and only allowed moves pass', () => {
+  const plan = dispatchedPlan()
+  assert.deepStrictEqual(plan.routes.map(r => r.status), ['dispatched', 'dispatched'])
+  assert.ok(plan.dispatchedAt)
+  assert.strictEqual(PlanLifecycle.planTransitionError(plan, 'approved'), 'Cannot move a dispatched plan to approved')
+  assert.match(PlanLifecycle.planTransitionError({ ...plan, status: 'in-progress' }, 'completed'), /Routes still open/)
+  assert.strictEqual(PlanLifecycle.planTransitionError(plan, 'cancelled'), null)
+})
+
+test('the first stop starts the route and plan, the last stop completes them', () => {
+  const plan = dispatchedPlan()
+  const [first, second] = plan.routes
+  PlanLifecycle.recordStop(plan, first, first.stops[0], serviced, user)
+  assert.strictEqual(first.status, 'in-progress')
+  assert.strictEqual(plan.status, 'in-progress')
+
+  PlanLifecycle.recordStop(plan, first, first.stops[1], serviced, user)
+  assert.strictEqual(first.status, 'completed')
+  assert.strictEqual(plan.status, 'in-progress')
+
+  PlanLifecycle.recordStop(plan, second, second.stops[0], { status: 'skipped', skipReason: 'bin-missing', recordedAt: new Date() }, user)
+  assert.strictEqual(second.status, 'completed')
+  assert.strictEqual(plan.status, 'completed')
+  assert.ok(plan.completedAt)
+})
+
+test('an automatically detected stop keeps its route open until the driver confirms it', () => {
+  const plan = dispatchedPlan()
+  const route = plan.routes[1]
+  PlanLifecycle.recordStop(plan, route, route.stops[0], serviced, { username: 'auto-detect' }, 'geofence')
+  assert.strictEqual(route.status, 'in-progress')
+  PlanLifecycle.recordStop(plan, route, route.stops[0], serviced, user)
+  assert.strictEqual(route.status, 'completed')
+})
+
+test('a dispatched plan whose routes are all cancelled is cancelled', () => {
+  const plan = dispatchedPlan()
+  plan.routes.forEach(route => {
+    assert.strictEqual(PlanLifecycle.routeTransitionError(plan, route, 'cancelled'), null)
+    PlanLifecycle.transitionRoute(plan, route, 'cancelled', user)
+  })
+  assert.strictEqual(plan.status, 'cancelled')
+  assert.ok(plan.cancelledAt)
+})
+
+test('a running plan completes once its open routes are cancelled after one completed', () => {
+  const plan = dispatchedPlan()
+  const [first, second] = plan.routes
+  PlanLifecycle.recordStop(plan, second, second.stops[0], serviced, user)
+  assert.strictEqual(plan.status, 'in-progress')
+  PlanLifecycle.transitionRoute(plan, first, 'cancelled', user)
+  assert.strictEqual(plan.status, 'completed')
+})
+
+test('stop outcomes are validated', () => {
+  assert.match(PlanLifecycle.stopOutcomeError({ status: 'done', recordedAt: new Date() }), /status must be one of/)
+  assert.match(PlanLifecycle.stopOutcomeError({ status: 'skipped', recordedAt: new Date() }), /skipReason/)
+  assert.match(PlanLifecycle.stopOutcomeError({ status: 'serviced', observedFillLevel: 200, recordedAt: new Date() }), /observedFillLevel/)
+  assert.strictEqual(PlanLifecycle.stopOutcomeError(serviced), null)
+})
@@ -0,0 +1,72 @@
+// Service worker: keeps the app shell available offline for drivers. Route data and
+// changes waiting to upload live in IndexedDB (src/offline), not in this cache.
+const CACHE = 'ecocollect-shell-v1'
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg']
+
+// Vite's build manifest (see vite.config.js) lists every chunk, stylesheet and asset of the current build
+const BUILD_MANIFEST = '/asset-manifest.json'
+
+async function buildAssets() {
+  const response = await fetch(BUILD_MANIFEST, { cache: 'no-store' })
+  if (!response.ok) return []
+  const files = new Set()
+  Object.values(await response.json()).forEach(chunk => {
+    [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])].forEach(file => files.add(`/${file}`))
+  })
+  return [...files]
+}
+
+// Cache the shell and whatever the current build has that is not cached yet, so a driver
+// who goes offline right after installing still has every script and stylesheet
+async function precache() {
+  const cache = await caches.open(CACHE)
+  const assets = await buildAssets().catch(() => [])
+  const missing = await Promise.all(assets.map(url => cache.match(url).then(cached => (cached ? null : url))))
+  await cache.addAll(SHELL)
+  await cache.addAll(missing.filter(Boolean))
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  // API calls go through the app's sync queue instead
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return
+
+  // Pages: network first so new builds arrive, the cached shell when offline. A new
+  // build's assets are precached as soon as its page has been seen.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone()
+          event.waitUntil(caches.open(CACHE).then(cache => cache.put('/', copy)).then(precache).catch(() => {}))
+          return response
+        })
+        .catch(() => caches.match('/'))
+    )
+    return
+  }
+
+  // Built assets have hashed names, so a cached copy never goes stale
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone()
+        caches.open(CACHE).then(cache => cache.put(request, copy))
+      }
+      return response
+    }))
+  )
+})
@@ -10,9 +10,13 @@ import Layout from './components/Layout'
 import Dashboard from './pages/Dashboard'
 import TruckManagement from './pages/TruckManagement'
 import RoutePlanning from './pages/RoutePlanning'
+import LiveFleet from './pages/LiveFleet'
 import Collections from './pages/Collections'
 import Bins from './pages/Bins'
 import AnalyticsReports from './pages/AnalyticsReports'
+import Sensors from './pages/Sensors'
+import Settings from './pages/Settings'
+import DriverRoute from './pages/DriverRoute'
 
 const theme = createTheme({
   palette: {
@@ -113,6 +117,18 @@ function AppContent() {
     return <Login />
   }
 
+  // Drivers get the mobile route view only
+  if (user.role === 'driver') {
+    return (
+      <Router>
+        <Routes>
+          <Route path="/driver" element={<DriverRoute />} />
+          <Route path="*" element={<Navigate to="/driver" replace />} />
+        </Routes>
+      </Router>
+    )
+  }
+
   return (
     <Router>
       <Layout>
@@ -120,9 +136,12 @@ function AppContent() {
           <Route path="/" element={<Dashboard />} />
           <Route path="/trucks" element={<TruckManagement />} />
           <Route path="/routes" element={<RoutePlanning />} />
+          <Route path="/fleet" element={<LiveFleet />} />
           <Route path="/collections" element={<Collections />} />
           <Route path="/bins" element={<Bins />} />
           <Route path="/analytics" element={<AnalyticsReports />} />
+          <Route path="/sensors" element={<Sensors />} />
+          <Route path="/settings" element={<Settings />} />
           <Route path="*" element={
             <Box sx={{ textAlign: 'center', py: 8 }}>
               <Typography variant="h5" color="error">
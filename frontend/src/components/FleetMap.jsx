@@ -0,0 +1,95 @@
+import React from 'react'
+import Box from '@mui/material/Box'
+import Typography from '@mui/material/Typography'
+
+const truckColors = ['#059669', '#2563eb', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d', '#dc2626']
+
+const WIDTH = 800
+const HEIGHT = 500
+const PADDING = 30
+
+// Schematic map of the live fleet: each truck's planned route as a line through its stops,
+// the truck at its latest position and, for the selected truck, the trail it has driven.
+// Coordinates are projected flat, which is close enough at district scale.
+export default function FleetMap({ entries, selectedId, trail = [], onSelect }) {
+  const points = [
+    ...entries.flatMap(entry => entry.route?.path || []),
+    ...entries.map(entry => entry.position).filter(Boolean),
+    ...trail
+  ]
+  if (points.length === 0) {
+    return (
+      <Box sx={{ py: 8, textAlign: 'center' }}>
+        <Typography variant="body2" sx={{ color: 'text.secondary' }}>No positions or dispatched routes yet</Typography>
+      </Box>
+    )
+  }
+
+  const lats = points.map(p => p.lat)
+  const lngs = points.map(p => p.lng)
+  const minLat = Math.min(...lats)
+  const maxLat = Math.max(...lats)
+  const minLng = Math.min(...lngs)
+  const maxLng = Math.max(...lngs)
+  const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180)
+  const spanX = Math.max((maxLng - minLng) * lngScale, 0.005)
+  const spanY = Math.max(maxLat - minLat, 0.005)
+  const scale = Math.min((WIDTH - 2 * PADDING) / spanX, (HEIGHT - 2 * PADDING) / spanY)
+  const x = (p) => PADDING + (p.lng - minLng) * lngScale * scale
+  const y = (p) => HEIGHT - PADDING - (p.lat - minLat) * scale
+  const line = (path) => path.map(p => `${x(p)},${y(p)}`).join(' ')
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto', background: '#f8fafc', borderRadius: 8 }}>
+      {entries.map((entry, i) => {
+        const path = entry.route?.path || []
+        const color = truckColors[i % truckColors.length]
+        const faded = selectedId && selectedId !== entry.truckId
+        return (
+          <g key={`route-${entry.truckId}`} opacity={faded ? 0.25 : 1}>
+            <polyline points={line(path)} fill="none" stroke={color} strokeWidth={2} strokeDasharray="6 4" />
+            {path.map((stop, j) => (stop.kind === 'depot'
+              ? <rect key={j} x={x(stop) - 6} y={y(stop) - 6} width={12} height={12} fill="#334155" />
+              : (
+                <circle
+                  key={j}
+                  cx={x(stop)}
+                  cy={y(stop)}
+                  r={stop.kind === 'disposal' ? 6 : 4}
+                  fill={!stop.status || stop.status === 'pending' ? color : '#cbd5e1'}
+                  stroke="#ffffff"
+                >
+                  <title>{stop.locationName}{stop.sensorId ? ` (${stop.sensorId})` : ''}</title>
+                </circle>
+              )))}
+          </g>
+        )
+      })}
+
+      {trail.length > 1 && (
+        <polyline points={line(trail)} fill="none" stroke="#0f172a" strokeWidth={2} opacity={0.6} />
+      )}
+
+      {entries.map((entry, i) => entry.position && (
+        <g
+          key={`truck-${entry.truckId}`}
+          onClick={() => onSelect?.(entry.truckId)}
+          style={{ cursor: onSelect ? 'pointer' : 'default' }}
+          opacity={selectedId && selectedId !== entry.truckId ? 0.4 : 1}
+        >
+          <circle
+            cx={x(entry.position)}
+            cy={y(entry.position)}
+            r={9}
+            fill={truckColors[i % truckColors.length]}
+            stroke={entry.progress?.offRoute ? '#ef4444' : '#ffffff'}
+            strokeWidth={3}
+          />
+          <text x={x(entry.position) + 12} y={y(entry.position) + 4} fontSize={12} fontWeight={700} fill="#0f172a">
+            {entry.plate}
+          </text>
+        </g>
+      ))}
+    </svg>
+  )
+}
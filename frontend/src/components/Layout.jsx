@@ -24,9 +24,12 @@ import NotificationsNoneIcon from '@mui/icons-material/NotificationsNone'
 import DashboardIcon from '@mui/icons-material/Dashboard'
 import LocalShippingIcon from '@mui/icons-material/LocalShipping'
 import MapIcon from '@mui/icons-material/Map'
+import GpsFixedIcon from '@mui/icons-material/GpsFixed'
 import ListAltIcon from '@mui/icons-material/ListAlt'
 import AnalyticsIcon from '@mui/icons-material/QueryStats'
 import DeleteIcon from '@mui/icons-material/Delete'
+import VpnKeyIcon from '@mui/icons-material/VpnKey'
+import SettingsIcon from '@mui/icons-material/Settings'
 import LogoutIcon from '@mui/icons-material/Logout'
 import { useAuth } from '../contexts/AuthContext'
 
@@ -111,10 +114,16 @@ export default function Layout({ children }) {
         return 'Truck Management'
       case '/routes':
         return 'Route Planning & Optimization'
+      case '/fleet':
+        return 'Live Fleet Tracking'
       case '/collections':
         return 'Waste Collections'
       case '/analytics':
         return 'Analytics & Reports'
+      case '/sensors':
+        return 'Sensor Security'
+      case '/settings':
+        return 'Settings'
       default:
         return 'EcoCollect Dashboard'
     }
@@ -336,6 +345,36 @@ export default function Layout({ children }) {
               />
             </ListItem>
 
+            <ListItem
+              selected={isActive('/fleet')}
+              onClick={() => navigate('/fleet')}
+              sx={{
+                borderRadius: 2,
+                mb: 1,
+                '&.Mui-selected': {
+                  backgroundColor: 'rgba(16, 185, 129, 0.2)',
+                  border: '1px solid rgba(16, 185, 129, 0.3)',
+                  '&:hover': {
+                    backgroundColor: 'rgba(16, 185, 129, 0.3)',
+                  },
+                },
+                '&:hover': {
+                  backgroundColor: 'rgba(255,255,255,0.1)',
+                },
+              }}
+            >
+              <ListItemIcon sx={{ color: isActive('/fleet') ? '#10b981' : 'rgba(255,255,255,0.7)', minWidth: 40 }}>
+                <GpsFixedIcon />
+              </ListItemIcon>
+              <ListItemText
+                primary="Live Fleet"
+                primaryTypographyProps={{
+                  fontWeight: isActive('/fleet') ? 600 : 400,
+                  fontSize: '0.95rem'
+                }}
+              />
+            </ListItem>
+
             <ListItem
               selected={isActive('/collections')}
               onClick={() => navigate('/collections')}
@@ -396,6 +435,36 @@ export default function Layout({ children }) {
               />
             </ListItem>
 
+            <ListItem
+              selected={isActive('/sensors')}
+              onClick={() => navigate('/sensors')}
+              sx={{
+                borderRadius: 2,
+                mb: 1,
+                '&.Mui-selected': {
+                  backgroundColor: 'rgba(16, 185, 129, 0.2)',
+                  border: '1px solid rgba(16, 185, 129, 0.3)',
+                  '&:hover': {
+                    backgroundColor: 'rgba(16, 185, 129, 0.3)',
+                  },
+                },
+                '&:hover': {
+                  backgroundColor: 'rgba(255,255,255,0.1)',
+                },
+              }}
+            >
+              <ListItemIcon sx={{ color: isActive('/sensors') ? '#10b981' : 'rgba(255,255,255,0.7)', minWidth: 40 }}>
+                <VpnKeyIcon />
+              </ListItemIcon>
+              <ListItemText
+                primary="Sensors"
+                primaryTypographyProps={{
+                  fontWeight: isActive('/sensors') ? 600 : 400,
+                  fontSize: '0.95rem'
+                }}
+              />
+            </ListItem>
+
             <ListItem
               selected={isActive('/analytics')}
               onClick={() => navigate('/analytics')}
@@ -425,6 +494,36 @@ export default function Layout({ children }) {
                 }}
               />
             </ListItem>
+
+            <ListItem
+              selected={isActive('/settings')}
+              onClick={() => navigate('/settings')}
+              sx={{
+                borderRadius: 2,
+                mb: 1,
+                '&.Mui-selected': {
+                  backgroundColor: 'rgba(16, 185, 129, 0.2)',
+                  border: '1px solid rgba(16, 185, 129, 0.3)',
+                  '&:hover': {
+                    backgroundColor: 'rgba(16, 185, 129, 0.3)',
+                  },
+                },
+                '&:hover': {
+                  backgroundColor: 'rgba(255,255,255,0.1)',
+                },
+              }}
+            >
+              <ListItemIcon sx={{ color: isActive('/settings') ? '#10b981' : 'rgba(255,255,255,0.7)', minWidth: 40 }}>
+                <SettingsIcon />
+              </ListItemIcon>
+              <ListItemText
+                primary="Settings"
+                primaryTypographyProps={{
+                  fontWeight: isActive('/settings') ? 600 : 400,
+                  fontSize: '0.95rem'
+                }}
+              />
+            </ListItem>
           </List>
 
           <Box sx={{ mt: 'auto', pt: 4 }}>
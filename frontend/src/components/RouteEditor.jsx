@@ -0,0 +1,174 @@
+import React, { useState } from 'react'
+import Box from '@mui/material/Box'
+import Button from '@mui/material/Button'
+import Chip from '@mui/material/Chip'
+import IconButton from '@mui/material/IconButton'
+import List from '@mui/material/List'
+import ListItem from '@mui/material/ListItem'
+import ListItemText from '@mui/material/ListItemText'
+import MenuItem from '@mui/material/MenuItem'
+import TextField from '@mui/material/TextField'
+import Typography from '@mui/material/Typography'
+import Alert from '@mui/material/Alert'
+import DragIndicatorIcon from '@mui/icons-material/DragIndicator'
+import CloseIcon from '@mui/icons-material/Close'
+import AddIcon from '@mui/icons-material/Add'
+import { api } from '../contexts/AuthContext'
+
+const idOf = (ref) => ref?._id || ref
+
+// Editable copy of a plan's routes: truck plus bins in visit order
+const toDraft = (plan) => plan.routes.map(route => ({
+  truckId: idOf(route.truckId),
+  binSensorIds: [...route.binSensorIds]
+}))
+
+// Hand-edit a draft plan: drag bins within and between routes, add or remove
+// bins and reassign trucks. The backend recomputes distances, ETAs and loads.
+export default function RouteEditor({ plan, trucks, bins, onSaved, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(plan))
+  const [dragging, setDragging] = useState(null) // { route, index }
+  const [saving, setSaving] = useState(false)
+  const [errors, setErrors] = useState([])
+
+  const activeTrucks = trucks.filter(t => t.status === 'Active')
+  const routed = new Set(draft.flatMap(r => r.binSensorIds))
+  const freeBins = bins.filter(b => !routed.has(b.sensorId))
+  const binFor = (sensorId) => bins.find(b => b.sensorId === sensorId)
+
+  const update = (routeIndex, changes) => {
+    setDraft(draft.map((route, i) => (i === routeIndex ? { ...route, ...changes } : route)))
+  }
+
+  // Drop the dragged bin in front of position index of route routeIndex (or at its end)
+  const dropAt = (routeIndex, index) => {
+    if (!dragging) return
+    const next = draft.map(route => ({ ...route, binSensorIds: [...route.binSensorIds] }))
+    const [sensorId] = next[dragging.route].binSensorIds.splice(dragging.index, 1)
+    const target = next[routeIndex].binSensorIds
+    const at = dragging.route === routeIndex && dragging.index < index ? index - 1 : index
+    target.splice(Math.min(at, target.length), 0, sensorId)
+    setDraft(next)
+    setDragging(null)
+  }
+
+  const save = async () => {
+    setSaving(true)
+    setErrors([])
+    try {
+      const res = await api.updateRoutePlanRoutes(plan._id, { routes: draft })
+      onSaved(res.data)
+    } catch (err) {
+      setErrors(err.response?.data?.errors || [err.response?.data?.error || 'Failed to save routes'])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const unusedTruck = activeTrucks.find(t => !draft.some(r => r.truckId === t._id))
+
+  return (
+    <Box>
+      {errors.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2, borderRadius: 2 }}>
+          {errors.map((e) => <div key={e}>{e}</div>)}
+        </Alert>
+      )}
+      {draft.map((route, routeIndex) => (
+        <Box
+          key={routeIndex}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={() => dropAt(routeIndex, route.binSensorIds.length)}
+          sx={{ mb: 2, p: 2, border: '1px dashed', borderColor: 'primary.light', borderRadius: 2 }}
+        >
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 1 }}>
+            <TextField
+              select
+              size="small"
+              label="Truck"
+              value={route.truckId}
+              onChange={(e) => update(routeIndex, { truckId: e.target.value })}
+              sx={{ minWidth: 220 }}
+            >
+              {activeTrucks.map((truck) => (
+                <MenuItem
+                  key={truck._id}
+                  value={truck._id}
+                  disabled={truck._id !== route.truckId && draft.some(r => r.truckId === truck._id)}
+                >
+                  {truck.plate} ({(truck.wasteStreams?.length ? truck.wasteStreams : ['general']).join(', ')})
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label="Add bin"
+              value=""
+              onChange={(e) => update(routeIndex, { binSensorIds: [...route.binSensorIds, e.target.value] })}
+              sx={{ minWidth: 220 }}
+            >
+              {freeBins.map((bin) => (
+                <MenuItem key={bin.sensorId} value={bin.sensorId}>
+                  {bin.sensorId} - {bin.locationName} ({bin.fillLevel}%, {bin.wasteStream || 'general'})
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <List dense disablePadding>
+            {route.binSensorIds.map((sensorId, index) => {
+              const bin = binFor(sensorId)
+              return (
+                <ListItem
+                  key={sensorId}
+                  draggable
+                  onDragStart={() => setDragging({ route: routeIndex, index })}
+                  onDrop={(e) => {
+                    e.stopPropagation()
+                    dropAt(routeIndex, index)
+                  }}
+                  disableGutters
+                  sx={{ py: 0.25, cursor: 'grab' }}
+                  secondaryAction={
+                    <IconButton
+                      size="small"
+                      onClick={() => update(routeIndex, { binSensorIds: route.binSensorIds.filter(id => id !== sensorId) })}
+                    >
+                      <CloseIcon fontSize="small" />
+                    </IconButton>
+                  }
+                >
+                  <DragIndicatorIcon fontSize="small" sx={{ mr: 1, color: 'text.disabled' }} />
+                  <ListItemText
+                    primary={`${index + 1}. ${bin?.locationName || sensorId} (${sensorId})`}
+                    secondary={bin ? `${bin.fillLevel}% • ${bin.wasteStream || 'general'}` : null}
+                  />
+                  {bin?.status === 'Priority' && <Chip label="PRIORITY" color="error" size="small" sx={{ mr: 5, fontWeight: 700, fontSize: '0.7rem' }} />}
+                </ListItem>
+              )
+            })}
+          </List>
+          {route.binSensorIds.length === 0 && (
+            <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+              Drop bins here. Routes without bins are removed on save.
+            </Typography>
+          )}
+        </Box>
+      ))}
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <Button
+          startIcon={<AddIcon />}
+          disabled={!unusedTruck}
+          onClick={() => setDraft([...draft, { truckId: unusedTruck._id, binSensorIds: [] }])}
+        >
+          Add Route
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onCancel} disabled={saving}>Cancel</Button>
+        <Button variant="contained" onClick={save} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Routes'}
+        </Button>
+      </Box>
+    </Box>
+  )
+}
@@ -0,0 +1,115 @@
+import React, { useState } from 'react'
+import Dialog from '@mui/material/Dialog'
+import DialogTitle from '@mui/material/DialogTitle'
+import DialogContent from '@mui/material/DialogContent'
+import DialogActions from '@mui/material/DialogActions'
+import Button from '@mui/material/Button'
+import MenuItem from '@mui/material/MenuItem'
+import TextField from '@mui/material/TextField'
+import Typography from '@mui/material/Typography'
+import Alert from '@mui/material/Alert'
+import { api } from '../contexts/AuthContext'
+import { stopOutcomes, skipReasons } from './stopOutcomes'
+
+// Phone photos are scaled down before they are sent or stored for later upload
+async function shrinkPhoto(file, maxSide = 1600) {
+  const image = await createImageBitmap(file)
+  const scale = Math.min(1, maxSide / Math.max(image.width, image.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(image.width * scale)
+  canvas.height = Math.round(image.height * scale)
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+  image.close()
+  return canvas.toDataURL('image/jpeg', 0.8)
+}
+
+// Record what happened at a bin stop: outcome, skip reason, observed fill, weight and a photo.
+// onSubmit(outcome) replaces sending it straight to the server (the driver view queues it);
+// onSaved gets what onSubmit resolves with, by default the updated plan.
+export default function StopOutcomeDialog({ plan, route, stop, onSubmit, onSaved, onClose }) {
+  const [status, setStatus] = useState(stop.status && stop.status !== 'pending' ? stop.status : 'serviced')
+  const [skipReason, setSkipReason] = useState(stop.skipReason || '')
+  const [observedFillLevel, setObservedFillLevel] = useState(stop.observedFillLevel ?? '')
+  const [weightKg, setWeightKg] = useState(stop.weightKg ?? '')
+  const [note, setNote] = useState(stop.note || '')
+  const [photo, setPhoto] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const save = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const outcome = {
+        status,
+        skipReason: status === 'skipped' ? skipReason : undefined,
+        observedFillLevel: observedFillLevel === '' ? undefined : Number(observedFillLevel),
+        weightKg: weightKg === '' ? undefined : Number(weightKg),
+        note,
+        photo: photo ? await shrinkPhoto(photo) : undefined
+      }
+      onSaved(onSubmit
+        ? await onSubmit(outcome)
+        : (await api.recordStopOutcome(plan._id, route._id, stop._id, outcome)).data)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to record stop')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle sx={{ fontWeight: 700, color: 'primary.main' }}>
+        {stop.locationName} ({stop.sensorId})
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField select label="Outcome" value={status} onChange={(e) => setStatus(e.target.value)} fullWidth margin="dense">
+          {Object.entries(stopOutcomes).map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+        {status === 'skipped' && (
+          <TextField select label="Reason" value={skipReason} onChange={(e) => setSkipReason(e.target.value)} fullWidth margin="dense">
+            {Object.entries(skipReasons).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        )}
+        <TextField
+          label="Observed fill level (%)"
+          type="number"
+          value={observedFillLevel}
+          onChange={(e) => setObservedFillLevel(e.target.value)}
+          inputProps={{ min: 0, max: 150 }}
+          fullWidth
+          margin="dense"
+        />
+        <TextField
+          label="Collected weight (kg)"
+          type="number"
+          value={weightKg}
+          onChange={(e) => setWeightKg(e.target.value)}
+          inputProps={{ min: 0 }}
+          fullWidth
+          margin="dense"
+        />
+        <TextField label="Note" value={note} onChange={(e) => setNote(e.target.value)} fullWidth margin="dense" multiline />
+        <Button component="label" variant="outlined" size="small" sx={{ mt: 1 }}>
+          {photo ? 'Change Photo' : 'Add Photo'}
+          <input type="file" accept="image/jpeg,image/png,image/webp" capture="environment" hidden onChange={(e) => setPhoto(e.target.files[0] || null)} />
+        </Button>
+        {photo && (
+          <Typography variant="body2" sx={{ color: 'text.secondary', mt: 1 }}>{photo.name}</Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button variant="contained" onClick={save} disabled={saving || (status === 'skipped' && !skipReason)}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
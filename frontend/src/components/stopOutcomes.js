@@ -0,0 +1,28 @@
+// Labels for what drivers record on a route: stop outcomes, skip reasons and problems,
+// and what detected a stop's outcome without the driver
+
+export const stopOutcomes = {
+  serviced: 'Serviced',
+  partial: 'Partially serviced',
+  skipped: 'Skipped'
+}
+
+export const skipReasons = {
+  'blocked-access': 'Blocked access',
+  'bin-missing': 'Bin missing',
+  'already-empty': 'Already empty',
+  damaged: 'Damaged'
+}
+
+export const problemKinds = {
+  breakdown: 'Truck breakdown',
+  'road-blocked': 'Road blocked',
+  accident: 'Accident',
+  'bin-problem': 'Problem at a bin',
+  other: 'Other'
+}
+
+export const autoDetections = {
+  geofence: 'GPS',
+  sensor: 'bin sensor'
+}
@@ -19,9 +19,17 @@ export const AuthProvider = ({ children }) => {
   axios.get(`${API_BASE}/api/auth/me`)
         .then(res => {
           setUser(res.data.user)
+          localStorage.setItem('user', JSON.stringify(res.data.user))
         })
-        .catch(() => {
+        .catch((err) => {
+          // Offline (no response): keep the last signed-in user so drivers can work without signal
+          const cached = localStorage.getItem('user')
+          if (!err.response && cached) {
+            setUser(JSON.parse(cached))
+            return
+          }
           localStorage.removeItem('token')
+          localStorage.removeItem('user')
           delete axios.defaults.headers.common['Authorization']
         })
         .finally(() => setLoading(false))
@@ -34,6 +42,7 @@ export const AuthProvider = ({ children }) => {
   const res = await axios.post(`${API_BASE}/api/auth/login`, { username, password })
     const { token, user } = res.data
     localStorage.setItem('token', token)
+    localStorage.setItem('user', JSON.stringify(user))
     axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
     setUser(user)
     return user
@@ -41,6 +50,7 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     localStorage.removeItem('token')
+    localStorage.removeItem('user')
     delete axios.defaults.headers.common['Authorization']
     setUser(null)
   }
@@ -59,15 +69,48 @@ export const api = {
 
   // Bins
   getBins: () => axios.get(`${API_BASE}/api/bins`),
+  createBin: (data) => axios.post(`${API_BASE}/api/bins`, data),
+  updateBin: (id, data) => axios.put(`${API_BASE}/api/bins/${id}`, data),
+  getBinReadings: (id, params) => axios.get(`${API_BASE}/api/bins/${id}/readings`, { params }),
+
+  // Sensor keys
+  getSensorKeys: (sensorId) => axios.get(`${API_BASE}/api/sensors/${sensorId}/keys`),
+  issueSensorKey: (sensorId, data) => axios.post(`${API_BASE}/api/sensors/${sensorId}/keys`, data),
+  revokeSensorKey: (sensorId, keyId) => axios.delete(`${API_BASE}/api/sensors/${sensorId}/keys/${keyId}`),
+  getRejectedReadings: (params) => axios.get(`${API_BASE}/api/sensors/rejected`, { params }),
+
+  // Settings
+  getThresholds: () => axios.get(`${API_BASE}/api/settings/thresholds`),
+  updateThresholds: (data) => axios.put(`${API_BASE}/api/settings/thresholds`, data),
+  updateBinThresholds: (id, data) => axios.put(`${API_BASE}/api/settings/thresholds/bins/${id}`, data),
 
   // Trucks
   getTrucks: () => axios.get(`${API_BASE}/api/trucks`),
+  getLiveFleet: () => axios.get(`${API_BASE}/api/trucks/live`),
+  sendTelemetry: (truckId, data) => axios.post(`${API_BASE}/api/trucks/${truckId}/telemetry`, data),
+  getTruckPositions: (truckId, params) => axios.get(`${API_BASE}/api/trucks/${truckId}/positions`, { params }),
+
+  // Users (driver logins)
+  getUsers: (params) => axios.get(`${API_BASE}/api/users`, { params }),
+  createUser: (data) => axios.post(`${API_BASE}/api/users`, data),
+  updateUser: (id, data) => axios.put(`${API_BASE}/api/users/${id}`, data),
+  deleteUser: (id) => axios.delete(`${API_BASE}/api/users/${id}`),
+
+  // Driver view
+  getMyRoute: () => axios.get(`${API_BASE}/api/driver/route`),
 
   // Route Plans
   getRoutePlans: () => axios.get(`${API_BASE}/api/routeplans`),
   generateRoutePlan: (data) => axios.post(`${API_BASE}/api/routeplans/generate`, data),
   approveRoutePlan: (id) => axios.post(`${API_BASE}/api/routeplans/${id}/approve`),
   dispatchRoutePlan: (id) => axios.post(`${API_BASE}/api/routeplans/${id}/dispatch`),
+  completeRoutePlan: (id) => axios.post(`${API_BASE}/api/routeplans/${id}/complete`),
+  cancelRoutePlan: (id, data) => axios.post(`${API_BASE}/api/routeplans/${id}/cancel`, data),
+  updateRouteStatus: (planId, routeId, data) => axios.post(`${API_BASE}/api/routeplans/${planId}/routes/${routeId}/status`, data),
+  recordStopOutcome: (planId, routeId, stopId, data) => axios.post(`${API_BASE}/api/routeplans/${planId}/routes/${routeId}/stops/${stopId}`, data),
+  reportRouteProblem: (planId, routeId, data) => axios.post(`${API_BASE}/api/routeplans/${planId}/routes/${routeId}/problems`, data),
+  uploadUrl: (path) => `${API_BASE}${path}`,
+  updateRoutePlanRoutes: (id, data) => axios.put(`${API_BASE}/api/routeplans/${id}/routes`, data),
 
   // Collections
   getCollections: () => axios.get(`${API_BASE}/api/collections`),
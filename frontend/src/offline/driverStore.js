@@ -0,0 +1,51 @@
+// IndexedDB storage for the driver view: the last route loaded for each driver and the
+// changes made on the phone that have not reached the server yet
+
+const DB_NAME = 'ecocollect-driver'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        db.createObjectStore('assignments') // keyed by user id
+        db.createObjectStore('changes', { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Run one request against a store; resolves with its result once the transaction commits
+async function withStore(name, mode, makeRequest) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode)
+    const request = makeRequest(tx.objectStore(name))
+    tx.oncomplete = () => resolve(request.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export const loadAssignment = (userId) => withStore('assignments', 'readonly', store => store.get(userId))
+
+export const saveAssignment = (userId, assignment) => withStore('assignments', 'readwrite', store => store.put(assignment, userId))
+
+// Changes in the order they were made
+export const loadChanges = async (userId) => {
+  const changes = await withStore('changes', 'readonly', store => store.getAll())
+  return changes.filter(change => change.userId === userId)
+}
+
+export const addChange = (change) => withStore('changes', 'readwrite', store => store.add(change))
+
+export const updateChange = (change) => withStore('changes', 'readwrite', store => store.put(change))
+
+export const removeChange = (id) => withStore('changes', 'readwrite', store => store.delete(id))
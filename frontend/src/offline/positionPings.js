@@ -0,0 +1,61 @@
+import { api } from '../contexts/AuthContext'
+
+// GPS pings from the driver's phone while their route is running. One position is kept
+// every PING_INTERVAL_MS and sent with any earlier ones that could not be delivered, so
+// the trail has no gaps after the phone was out of signal. Undelivered pings live only
+// in memory and are capped at what the server accepts in one request.
+
+const PING_INTERVAL_MS = 30000
+const MAX_BUFFERED = 500
+
+// Start watching the phone's position for truckId; onError(message) hears about GPS
+// problems. Returns a function that stops watching.
+export function startPositionPings(truckId, onError) {
+  if (!navigator.geolocation) {
+    onError('This phone cannot share its location')
+    return () => {}
+  }
+
+  let buffer = []
+  let lastKept = 0
+  let sending = false
+
+  const send = async () => {
+    if (sending || buffer.length === 0) return
+    sending = true
+    const batch = buffer
+    try {
+      await api.sendTelemetry(truckId, { pings: batch })
+      buffer = buffer.filter(ping => !batch.includes(ping))
+    } catch (err) {
+      // Refused pings would be refused again; anything else is retried with the next one
+      if (err.response && err.response.status < 500) buffer = buffer.filter(ping => !batch.includes(ping))
+    } finally {
+      sending = false
+    }
+  }
+
+  const watchId = navigator.geolocation.watchPosition(
+    (position) => {
+      if (position.timestamp - lastKept < PING_INTERVAL_MS) return
+      lastKept = position.timestamp
+      const { latitude, longitude, speed, heading, accuracy } = position.coords
+      buffer = [...buffer, {
+        lat: latitude,
+        lng: longitude,
+        speedKmh: speed === null ? undefined : speed * 3.6,
+        heading: heading === null || isNaN(heading) ? undefined : heading,
+        accuracyM: accuracy,
+        timestamp: new Date(position.timestamp).toISOString()
+      }].slice(-MAX_BUFFERED)
+      onError('')
+      send()
+    },
+    (err) => onError(err.code === err.PERMISSION_DENIED
+      ? 'Location is blocked for this app, so the office cannot see where the truck is'
+      : 'Waiting for a GPS fix'),
+    { enableHighAccuracy: true, maximumAge: 10000 }
+  )
+
+  return () => navigator.geolocation.clearWatch(watchId)
+}
@@ -0,0 +1,78 @@
+import { api } from '../contexts/AuthContext'
+import { addChange, loadChanges, removeChange, updateChange } from './driverStore'
+
+// Driver actions are queued on the phone first and sent in order whenever the server can
+// be reached. A change the server refuses (the route was cancelled, or the stop was
+// updated after the driver recorded it) stays queued with the server's reason until the
+// driver discards it.
+
+const senders = {
+  start: (change) => api.updateRouteStatus(change.planId, change.routeId, { status: 'in-progress' }),
+  stop: (change) => api.recordStopOutcome(change.planId, change.routeId, change.stopId, { ...change.body, recordedAt: change.createdAt }),
+  problem: (change) => api.reportRouteProblem(change.planId, change.routeId, { ...change.body, at: change.createdAt, clientId: change.clientId })
+}
+
+// kind: 'start' | 'stop' | 'problem'; body is what the matching endpoint expects
+export function queueChange(user, assignment, kind, body = {}, stopId) {
+  return addChange({
+    userId: user.id,
+    kind,
+    planId: assignment.planId,
+    routeId: assignment.route._id,
+    stopId,
+    body,
+    clientId: `${user.id}-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    createdAt: new Date().toISOString()
+  })
+}
+
+let flushing = null
+
+// Send the waiting changes; resolves with { sent, offline, signedOut }
+export function flushChanges(userId) {
+  if (!flushing) flushing = sendChanges(userId).finally(() => { flushing = null })
+  return flushing
+}
+
+async function sendChanges(userId) {
+  const changes = (await loadChanges(userId)).filter(change => !change.error)
+  let sent = 0
+  for (const change of changes) {
+    try {
+      await senders[change.kind](change)
+      await removeChange(change.id)
+      sent += 1
+    } catch (err) {
+      const status = err.response?.status
+      // Not delivered at all: stop here so later changes never overtake this one
+      if (!status || status >= 500 || status === 401) return { sent, offline: !status, signedOut: status === 401 }
+      if (change.kind === 'start') {
+        await removeChange(change.id) // the route has already moved on
+      } else {
+        await updateChange({ ...change, error: err.response.data?.error || `Refused by the server (${status})` })
+      }
+    }
+  }
+  return { sent, offline: false, signedOut: false }
+}
+
+const isPending = (stop) => !stop.status || stop.status === 'pending'
+
+// The route as the driver sees it: the last copy from the server with the waiting
+// changes applied the way the server will apply them
+export function withChanges(route, changes) {
+  if (!route) return route
+  const next = { ...route, stops: route.stops.map(stop => ({ ...stop })), problems: [...(route.problems || [])] }
+  for (const change of changes) {
+    if (change.error || change.routeId !== route._id) continue
+    if (change.kind === 'start' && next.status === 'dispatched') next.status = 'in-progress'
+    if (change.kind === 'stop') {
+      const stop = next.stops.find(s => s._id === change.stopId)
+      if (stop) Object.assign(stop, change.body, { completedAt: change.createdAt, autoDetected: undefined })
+      if (next.status === 'dispatched') next.status = 'in-progress'
+      if (!next.stops.some(s => s.kind !== 'disposal' && (isPending(s) || s.autoDetected))) next.status = 'completed'
+    }
+    if (change.kind === 'problem') next.problems.push({ ...change.body, _id: change.clientId, at: change.createdAt })
+  }
+  return next
+}
@@ -19,6 +19,12 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  MenuItem,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
 } from "@mui/material";
 import SearchIcon from "@mui/icons-material/Search";
 import DeleteIcon from "@mui/icons-material/Delete";
@@ -27,12 +33,24 @@ import BatteryFullIcon from "@mui/icons-material/BatteryFull";
 import Battery50Icon from "@mui/icons-material/Battery50";
 import Battery20Icon from "@mui/icons-material/Battery20";
 import BatteryAlertIcon from "@mui/icons-material/BatteryAlert";
+import SensorsOffIcon from "@mui/icons-material/SensorsOff";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
 import { api } from "../contexts/AuthContext";
 
+// Matches the backend's WASTE_STREAMS
+const wasteStreams = ["general", "recyclables", "organic"];
+
+const emptyForm = { sensorId: "", locationName: "", lat: "", lng: "", wasteStream: "general", volume: 660 };
+
 export default function Bins() {
   const [bins, setBins] = useState([]);
   const [error, setError] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
+  const [healthFilter, setHealthFilter] = useState("all");
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState("");
 
   useEffect(() => {
     loadData();
@@ -48,6 +66,53 @@ export default function Bins() {
     }
   };
 
+  const openAdd = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    setFormError("");
+  };
+
+  const openEdit = (bin) => {
+    const [lng, lat] = bin.location?.coordinates || ["", ""];
+    setEditing(bin._id);
+    setForm({
+      sensorId: bin.sensorId,
+      locationName: bin.locationName,
+      lat,
+      lng,
+      wasteStream: bin.wasteStream || "general",
+      volume: bin.volume ?? 660,
+    });
+    setFormError("");
+  };
+
+  // Route planning needs every bin located, so coordinates are required
+  const handleSave = async () => {
+    const lat = parseFloat(form.lat);
+    const lng = parseFloat(form.lng);
+    if (!form.sensorId || !form.locationName) {
+      setFormError("Sensor ID and location are required");
+      return;
+    }
+    if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+      setFormError("Enter a latitude between -90 and 90 and a longitude between -180 and 180");
+      return;
+    }
+    const data = { ...form, lat, lng, volume: Number(form.volume) };
+    try {
+      if (editing) {
+        const res = await api.updateBin(editing, data);
+        setBins((list) => list.map((bin) => (bin._id === editing ? res.data : bin)));
+      } else {
+        const res = await api.createBin(data);
+        setBins((list) => [res.data, ...list]);
+      }
+      setForm(null);
+    } catch (err) {
+      setFormError(err.response?.data?.error || "Failed to save bin");
+    }
+  };
+
   // Get status color
   const getStatusColor = (status) => {
     switch (status) {
@@ -59,22 +124,46 @@ export default function Bins() {
     }
   };
 
-  // Get fill level icon
-  const getFillLevelIcon = (fillLevel) => {
-    if (fillLevel >= 70) return <BatteryAlertIcon color="error" />;
-    if (fillLevel >= 50) return <BatteryFullIcon color="error" />;
-    if (fillLevel >= 25) return <Battery50Icon color="warning" />;
-    return <Battery20Icon color="success" />;
+  // Sensor health chip color
+  const getHealthColor = (health) => {
+    switch (health) {
+      case 'ok': return 'success';
+      case 'warning': return 'warning';
+      case 'fault': return 'error';
+      default: return 'default';
+    }
+  };
+
+  const issueLabels = {
+    silent: 'Silent',
+    stuck: 'Stuck',
+    jump: 'Implausible jump',
+    'out-of-range': 'Out of range',
+  };
+
+  // Get fill level icon from the status the server derived with the bin's thresholds
+  const getFillLevelIcon = (status) => {
+    switch (status) {
+      case 'Priority': return <BatteryAlertIcon color="error" />;
+      case 'Full': return <BatteryFullIcon color="error" />;
+      case 'Half': return <Battery50Icon color="warning" />;
+      default: return <Battery20Icon color="success" />;
+    }
   };
 
-  // Filter bins based on search term
+  // Filter bins based on sensor health and search term
   const filteredBins = bins.filter((bin) => {
+    const health = bin.sensorHealth?.status || 'ok';
+    if (healthFilter === 'unhealthy' && health === 'ok') return false;
+    if (['ok', 'warning', 'fault'].includes(healthFilter) && health !== healthFilter) return false;
+    if (issueLabels[healthFilter] && !bin.sensorHealth?.issues?.some(issue => issue.code === healthFilter)) return false;
     if (!searchTerm) return true;
     const searchLower = searchTerm.toLowerCase();
     return (
       bin.sensorId?.toLowerCase().includes(searchLower) ||
       bin.locationName?.toLowerCase().includes(searchLower) ||
-      bin.status?.toLowerCase().includes(searchLower)
+      bin.status?.toLowerCase().includes(searchLower) ||
+      bin.wasteStream?.toLowerCase().includes(searchLower)
     );
   });
 
@@ -82,6 +171,7 @@ export default function Bins() {
   const totalBins = bins.length;
   const emptyBins = bins.filter(bin => bin.status === 'Empty').length;
   const priorityBins = bins.filter(bin => bin.status === 'Priority').length;
+  const unhealthySensors = bins.filter(bin => bin.sensorHealth && bin.sensorHealth.status !== 'ok').length;
   const averageFillLevel = bins.length > 0
     ? (bins.reduce((sum, bin) => sum + (bin.fillLevel || 0), 0) / bins.length).toFixed(1)
     : 0;
@@ -107,6 +197,23 @@ export default function Bins() {
         </Box>
 
         <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+          <TextField
+            select
+            label="Sensor health"
+            size="small"
+            sx={{ width: 200 }}
+            value={healthFilter}
+            onChange={(e) => setHealthFilter(e.target.value)}
+          >
+            <MenuItem value="all">All sensors</MenuItem>
+            <MenuItem value="unhealthy">Needs attention</MenuItem>
+            <MenuItem value="ok">Healthy</MenuItem>
+            <MenuItem value="warning">Warning</MenuItem>
+            <MenuItem value="fault">Fault</MenuItem>
+            {Object.entries(issueLabels).map(([code, label]) => (
+              <MenuItem key={code} value={code}>{label}</MenuItem>
+            ))}
+          </TextField>
           <TextField
             variant="outlined"
             placeholder="Search bins..."
@@ -122,6 +229,9 @@ export default function Bins() {
               ),
             }}
           />
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openAdd}>
+            Add Bin
+          </Button>
         </Box>
       </Box>
 
@@ -199,6 +309,22 @@ export default function Bins() {
         </Grid>
       </Grid>
 
+      {/* Sensor Health Alert */}
+      {unhealthySensors > 0 && (
+        <Alert
+          severity="warning"
+          icon={<SensorsOffIcon />}
+          sx={{ mb: 3 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setHealthFilter("unhealthy")}>
+              Show
+            </Button>
+          }
+        >
+          {unhealthySensors} sensor{unhealthySensors === 1 ? "" : "s"} need attention
+        </Alert>
+      )}
+
       {/* Bins Table */}
       <Paper sx={{ borderRadius: 3, overflow: "hidden", boxShadow: 2 }}>
         <TableContainer>
@@ -207,15 +333,19 @@ export default function Bins() {
               <TableRow sx={{ bgcolor: "grey.50" }}>
                 <TableCell sx={{ fontWeight: 700 }}>Sensor ID</TableCell>
                 <TableCell sx={{ fontWeight: 700 }}>Location</TableCell>
+                <TableCell sx={{ fontWeight: 700 }}>Stream</TableCell>
                 <TableCell sx={{ fontWeight: 700 }}>Fill Level</TableCell>
                 <TableCell sx={{ fontWeight: 700 }}>Status</TableCell>
+                <TableCell sx={{ fontWeight: 700 }}>Sensor Health</TableCell>
                 <TableCell sx={{ fontWeight: 700 }}>Last Seen</TableCell>
+                <TableCell sx={{ fontWeight: 700 }}>Forecast Full</TableCell>
+                <TableCell sx={{ fontWeight: 700 }} />
               </TableRow>
             </TableHead>
             <TableBody>
               {filteredBins.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={5} sx={{ textAlign: "center", py: 4 }}>
+                  <TableCell colSpan={9} sx={{ textAlign: "center", py: 4 }}>
                     <Typography variant="body2" color="text.secondary">
                       No bins found
                     </Typography>
@@ -242,9 +372,14 @@ export default function Bins() {
                         </Typography>
                       </Box>
                     </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ textTransform: "capitalize" }}>
+                        {bin.wasteStream || "general"}
+                      </Typography>
+                    </TableCell>
                     <TableCell>
                       <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
-                        {getFillLevelIcon(bin.fillLevel)}
+                        {getFillLevelIcon(bin.status)}
                         <Typography variant="body2" fontWeight={600}>
                           {bin.fillLevel || 0}%
                         </Typography>
@@ -258,6 +393,29 @@ export default function Bins() {
                         variant="outlined"
                       />
                     </TableCell>
+                    <TableCell>
+                      <Tooltip
+                        title={bin.sensorHealth?.issues?.length
+                          ? bin.sensorHealth.issues.map(issue => issue.message).join("; ")
+                          : "No problems detected"
+                        }
+                      >
+                        <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap" }}>
+                          {bin.sensorHealth?.issues?.length ? (
+                            bin.sensorHealth.issues.map((issue) => (
+                              <Chip
+                                key={issue.code}
+                                label={issueLabels[issue.code] || issue.code}
+                                color={getHealthColor(bin.sensorHealth.status)}
+                                size="small"
+                              />
+                            ))
+                          ) : (
+                            <Chip label="Healthy" color="success" size="small" variant="outlined" />
+                          )}
+                        </Box>
+                      </Tooltip>
+                    </TableCell>
                     <TableCell>
                       <Typography variant="body2" color="text.secondary">
                         {bin.lastSeenAt
@@ -266,6 +424,21 @@ export default function Bins() {
                         }
                       </Typography>
                     </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color="text.secondary">
+                        {bin.forecastFullAt
+                          ? new Date(bin.forecastFullAt).toLocaleString()
+                          : "Not within 14 days"
+                        }
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title={bin.location ? "Edit bin" : "Set this bin's coordinates so it can be routed"}>
+                        <IconButton size="small" color={bin.location ? "default" : "warning"} onClick={() => openEdit(bin)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
                   </TableRow>
                 ))
               )}
@@ -273,6 +446,71 @@ export default function Bins() {
           </Table>
         </TableContainer>
       </Paper>
+
+      <Dialog open={Boolean(form)} onClose={() => setForm(null)} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ fontWeight: 700 }}>{editing ? "Edit Bin" : "Add Bin"}</DialogTitle>
+        {form && (
+          <DialogContent>
+            <Box sx={{ display: "flex", flexDirection: "column", gap: 2, mt: 1 }}>
+              {formError && <Alert severity="error">{formError}</Alert>}
+              <TextField
+                label="Sensor ID"
+                value={form.sensorId}
+                onChange={(e) => setForm((f) => ({ ...f, sensorId: e.target.value }))}
+                fullWidth
+              />
+              <TextField
+                label="Location"
+                value={form.locationName}
+                onChange={(e) => setForm((f) => ({ ...f, locationName: e.target.value }))}
+                fullWidth
+              />
+              <Box sx={{ display: "flex", gap: 2 }}>
+                <TextField
+                  label="Latitude"
+                  type="number"
+                  value={form.lat}
+                  onChange={(e) => setForm((f) => ({ ...f, lat: e.target.value }))}
+                  inputProps={{ step: "any" }}
+                  fullWidth
+                />
+                <TextField
+                  label="Longitude"
+                  type="number"
+                  value={form.lng}
+                  onChange={(e) => setForm((f) => ({ ...f, lng: e.target.value }))}
+                  inputProps={{ step: "any" }}
+                  fullWidth
+                />
+              </Box>
+              <TextField
+                select
+                label="Waste Stream"
+                value={form.wasteStream}
+                onChange={(e) => setForm((f) => ({ ...f, wasteStream: e.target.value }))}
+                fullWidth
+              >
+                {wasteStreams.map((stream) => (
+                  <MenuItem key={stream} value={stream}>{stream}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Volume (litres)"
+                type="number"
+                value={form.volume}
+                onChange={(e) => setForm((f) => ({ ...f, volume: e.target.value }))}
+                fullWidth
+              />
+            </Box>
+          </DialogContent>
+        )}
+        <DialogActions sx={{ p: 3, pt: 0 }}>
+          <Button onClick={() => setForm(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave}>
+            {editing ? "Save Changes" : "Add Bin"}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
\ No newline at end of file
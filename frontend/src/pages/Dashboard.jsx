@@ -86,7 +86,7 @@ export default function Dashboard() {
     },
     {
       icon: <MapIcon sx={{ color: '#d97706', fontSize: 28 }} />,
-      title: 'Bins >70% Full',
+      title: 'Bins Needing Collection',
       value: '0',
       change: 'Loading...',
       color: 'warning'
@@ -133,7 +133,7 @@ export default function Dashboard() {
 
       // Calculate stats
       const activeTrucks = trucksRes.data.filter(t => t.status === 'Active').length
-      const highFillBins = binsRes.data.filter(b => b.fillLevel > 70).length
+      const highFillBins = binsRes.data.filter(b => b.status === 'Full' || b.status === 'Priority').length
       const dispatchedPlans = plansRes.data.filter(p => p.dispatchedAt).length
       const avgFillLevel = binsRes.data.length > 0
         ? Math.round(binsRes.data.reduce((sum, b) => sum + b.fillLevel, 0) / binsRes.data.length)
@@ -149,7 +149,7 @@ export default function Dashboard() {
         },
         {
           icon: <MapIcon sx={{ color: '#d97706', fontSize: 28 }} />,
-          title: 'Bins >70% Full',
+          title: 'Bins Needing Collection',
           value: highFillBins.toString(),
           change: highFillBins > 5 ? 'High Priority' : 'Normal',
           color: 'warning'
@@ -303,10 +303,10 @@ export default function Dashboard() {
                       </Typography>
                     </Box>
                     <Chip
-                      label={plan.dispatchedAt ? 'Dispatched' : plan.approved ? 'Approved' : 'Pending'}
-                      color={plan.dispatchedAt ? 'success' : plan.approved ? 'warning' : 'default'}
+                      label={plan.status ? plan.status.replace('-', ' ') : 'draft'}
+                      color={plan.status === 'completed' ? 'success' : plan.status === 'cancelled' ? 'error' : plan.status === 'draft' ? 'default' : 'warning'}
                       size="small"
-                      sx={{ fontWeight: 600 }}
+                      sx={{ fontWeight: 600, textTransform: 'capitalize' }}
                     />
                   </Box>
                   <Typography variant="caption" sx={{ color: 'text.secondary', mt: 1, display: 'block' }}>
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import Box from '@mui/material/Box'
+import AppBar from '@mui/material/AppBar'
+import Toolbar from '@mui/material/Toolbar'
+import Typography from '@mui/material/Typography'
+import IconButton from '@mui/material/IconButton'
+import Button from '@mui/material/Button'
+import Card from '@mui/material/Card'
+import CardContent from '@mui/material/CardContent'
+import Chip from '@mui/material/Chip'
+import Alert from '@mui/material/Alert'
+import CircularProgress from '@mui/material/CircularProgress'
+import Dialog from '@mui/material/Dialog'
+import DialogTitle from '@mui/material/DialogTitle'
+import DialogContent from '@mui/material/DialogContent'
+import DialogActions from '@mui/material/DialogActions'
+import MenuItem from '@mui/material/MenuItem'
+import TextField from '@mui/material/TextField'
+import RefreshIcon from '@mui/icons-material/Refresh'
+import LogoutIcon from '@mui/icons-material/Logout'
+import ReportProblemIcon from '@mui/icons-material/ReportProblem'
+import { api, useAuth } from '../contexts/AuthContext'
+import StopOutcomeDialog from '../components/StopOutcomeDialog'
+import { stopOutcomes, skipReasons, problemKinds, autoDetections } from '../components/stopOutcomes'
+import { loadAssignment, saveAssignment, loadChanges, removeChange } from '../offline/driverStore'
+import { queueChange, flushChanges, withChanges } from '../offline/syncQueue'
+import { startPositionPings } from '../offline/positionPings'
+
+const emptyProblem = { kind: 'road-blocked', stopId: '', note: '' }
+
+const formatTime = (date) => (date ? new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--')
+
+// Mobile view for a signed-in driver: their truck's dispatched route, stop by stop.
+// Works offline: the route is kept on the phone and every action is queued and
+// uploaded once there is signal (see src/offline).
+export default function DriverRoute() {
+  const { user, logout } = useAuth()
+  const [assignment, setAssignment] = useState(null) // { planId, planStatus, route } as last loaded
+  const [changes, setChanges] = useState([]) // queued on the phone, not yet on the server
+  const [loading, setLoading] = useState(true)
+  const [syncing, setSyncing] = useState(false)
+  const [online, setOnline] = useState(navigator.onLine)
+  const [lastSync, setLastSync] = useState(null)
+  const [error, setError] = useState('')
+  const [recording, setRecording] = useState(null) // stop
+  const [problem, setProblem] = useState(null) // form while reporting
+  const [gpsError, setGpsError] = useState('')
+
+  const userId = user.id
+
+  // The route and changes kept on the phone, shown until the server answers
+  const loadSaved = useCallback(async () => {
+    const [saved, queued] = await Promise.all([loadAssignment(userId), loadChanges(userId)])
+    if (saved) {
+      setAssignment(prev => prev || saved)
+      setLoading(false)
+    }
+    setChanges(queued)
+  }, [userId])
+
+  // Upload the waiting changes, then load the route as the server now has it
+  const sync = useCallback(async () => {
+    setSyncing(true)
+    try {
+      const result = await flushChanges(userId)
+      setChanges(await loadChanges(userId))
+      if (result.signedOut) {
+        setError('Your session has expired. Sign in again to upload the waiting changes.')
+        return
+      }
+      if (result.offline) return
+
+      const res = await api.getMyRoute()
+      await saveAssignment(userId, res.data)
+      setAssignment(res.data)
+      setChanges(await loadChanges(userId))
+      setLastSync(new Date())
+      setError('')
+    } catch (err) {
+      // Without a response the phone is offline and keeps showing the saved route
+      if (err.response) setError(err.response.data?.error || 'Failed to load your route')
+    } finally {
+      setSyncing(false)
+      setLoading(false)
+    }
+  }, [userId])
+
+  useEffect(() => {
+    loadSaved()
+    sync()
+    const timer = setInterval(() => sync(), 60000)
+    const goOnline = () => {
+      setOnline(true)
+      sync()
+    }
+    const goOffline = () => setOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+  }, [loadSaved, sync])
+
+  const record = async (kind, body, stopId) => {
+    await queueChange(user, assignment, kind, body, stopId)
+    setChanges(await loadChanges(userId))
+    sync()
+  }
+
+  const discardChange = async (change) => {
+    await removeChange(change.id)
+    setChanges(await loadChanges(userId))
+  }
+
+  const signOut = () => {
+    const waiting = changes.filter(change => !change.error).length
+    if (waiting > 0 && !confirm(`${waiting} changes are not uploaded yet. They stay on this phone and upload when you sign in again. Sign out?`)) return
+    logout()
+  }
+
+  const route = withChanges(assignment?.route, changes)
+
+  // The office follows the truck on the live fleet map while the route is running
+  const truckId = user.truckId
+  const driving = route?.status === 'in-progress'
+  useEffect(() => {
+    if (!driving || !truckId) return
+    const stopPings = startPositionPings(truckId, setGpsError)
+    return () => {
+      stopPings()
+      setGpsError('')
+    }
+  }, [driving, truckId])
+
+  const startRoute = () => record('start')
+
+  const markServiced = (stop) => record('stop', { status: 'serviced' }, stop._id)
+
+  const sendProblem = async () => {
+    await record('problem', { kind: problem.kind, note: problem.note, stopId: problem.stopId || undefined })
+    setProblem(null)
+  }
+
+  const stops = route ? [...route.stops].sort((a, b) => a.order - b.order) : []
+  const binStops = stops.filter(s => s.kind !== 'disposal')
+  const isPending = (stop) => !stop.status || stop.status === 'pending'
+  const nextStop = route?.status === 'in-progress' ? binStops.find(isPending) : null
+  const doneCount = binStops.filter(s => !isPending(s)).length
+  const running = ['dispatched', 'in-progress'].includes(route?.status)
+
+  const describeChange = (change) => {
+    const stop = assignment?.route?.stops.find(s => s._id === change.stopId)
+    if (change.kind === 'start') return 'Route started'
+    if (change.kind === 'problem') return `Problem: ${problemKinds[change.body.kind]}${stop ? ` at ${stop.locationName}` : ''}`
+    return `${stop?.locationName || 'Stop'}: ${stopOutcomes[change.body.status]}${change.body.photo ? ' with photo' : ''}`
+  }
+
+  return (
+    <Box sx={{ minHeight: '100vh', backgroundColor: 'background.default' }}>
+      <AppBar position="sticky" elevation={0}>
+        <Toolbar>
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 700, lineHeight: 1.2 }}>
+              {route ? `Truck ${route.truckPlate}` : 'EcoCollect Driver'}
+            </Typography>
+            <Typography variant="caption">{user?.name}</Typography>
+          </Box>
+          <IconButton color="inherit" onClick={sync} disabled={syncing}>
+            <RefreshIcon />
+          </IconButton>
+          <IconButton color="inherit" onClick={signOut}>
+            <LogoutIcon />
+          </IconButton>
+        </Toolbar>
+      </AppBar>
+
+      <Box sx={{ p: 2, maxWidth: 600, mx: 'auto' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Chip
+            label={online ? 'Online' : 'Offline'}
+            color={online ? 'success' : 'default'}
+            size="small"
+            sx={{ fontWeight: 600 }}
+          />
+          <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+            {syncing ? 'Syncing...' : lastSync ? `Last synced ${formatTime(lastSync)}` : 'Showing the route saved on this phone'}
+          </Typography>
+        </Box>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {gpsError && <Alert severity="warning" sx={{ mb: 2 }}>{gpsError}</Alert>}
+        {changes.length > 0 && (
+          <Alert severity={changes.some(change => change.error) ? 'error' : 'info'} sx={{ mb: 2 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              {changes.length} {changes.length === 1 ? 'change' : 'changes'} waiting to upload
+            </Typography>
+            {changes.map((change) => (
+              <Box key={change.id} sx={{ mt: 0.5 }}>
+                <Typography variant="body2">
+                  {formatTime(change.createdAt)} {describeChange(change)}
+                </Typography>
+                {change.error && (
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="caption" sx={{ color: 'error.main', flexGrow: 1 }}>
+                      Not accepted: {change.error}
+                    </Typography>
+                    <Button size="small" color="error" onClick={() => discardChange(change)}>Discard</Button>
+                  </Box>
+                )}
+              </Box>
+            ))}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={8}>
+            <CircularProgress />
+          </Box>
+        ) : !route ? (
+          <Alert severity="info">
+            {online
+              ? 'No route has been dispatched to your truck yet. This page checks again every minute.'
+              : 'You are offline and no route is saved on this phone yet.'}
+          </Alert>
+        ) : (
+          <>
+            <Card sx={{ mb: 2 }}>
+              <CardContent>
+                <Typography variant="h6" sx={{ fontWeight: 700 }}>
+                  {route.wasteStream || 'general'} collection{route.depotName ? ` from ${route.depotName}` : ''}
+                </Typography>
+                <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                  {binStops.length} bins • {route.totalDistance} km • about {route.estimatedTimeMin} min
+                </Typography>
+                <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+                  {doneCount} of {binStops.length} bins done
+                </Typography>
+                {route.status === 'dispatched' && (
+                  <Button variant="contained" size="large" fullWidth onClick={startRoute}>
+                    Start Route
+                  </Button>
+                )}
+                {route.status === 'completed' && (
+                  <Alert severity="success">Route completed. Thank you!</Alert>
+                )}
+                {running && (
+                  <Button
+                    color="warning"
+                    startIcon={<ReportProblemIcon />}
+                    fullWidth
+                    sx={{ mt: 1 }}
+                    onClick={() => setProblem({ ...emptyProblem, stopId: nextStop?._id || '' })}
+                  >
+                    Report a Problem
+                  </Button>
+                )}
+              </CardContent>
+            </Card>
+
+            {stops.map((stop) => (
+              <Card
+                key={stop._id}
+                sx={{
+                  mb: 1.5,
+                  border: '2px solid',
+                  borderColor: stop === nextStop ? 'primary.main' : 'transparent',
+                  opacity: stop.kind !== 'disposal' && !isPending(stop) ? 0.7 : 1
+                }}
+              >
+                <CardContent sx={{ pb: '16px !important' }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="subtitle1" sx={{ fontWeight: 700, flexGrow: 1 }}>
+                      {stop.order}. {stop.kind === 'disposal' ? `Unload at ${stop.locationName}` : stop.locationName}
+                    </Typography>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>{formatTime(stop.eta)}</Typography>
+                  </Box>
+                  <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                    {stop.kind === 'disposal' ? `About ${stop.unloadedLitres ?? 0} L to unload` : stop.sensorId}
+                    {stop.waitMin > 0 ? ` • opens ${stop.waitMin} min after arrival` : ''}
+                  </Typography>
+                  {stop.priority && <Chip label="PRIORITY" color="error" size="small" sx={{ mt: 1, mr: 1, fontWeight: 700 }} />}
+                  {stop.kind !== 'disposal' && !isPending(stop) && (
+                    <Chip
+                      label={stop.autoDetected
+                        ? `${stopOutcomes[stop.status]}? Detected by ${autoDetections[stop.autoDetected]}`
+                        : stop.status === 'skipped' ? `Skipped: ${skipReasons[stop.skipReason]}` : stopOutcomes[stop.status]}
+                      color={stop.autoDetected ? 'info' : stop.status === 'serviced' ? 'success' : 'warning'}
+                      size="small"
+                      sx={{ mt: 1, fontWeight: 600 }}
+                    />
+                  )}
+                  {stop.kind !== 'disposal' && route.status === 'in-progress' && (
+                    <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }}>
+                      {(isPending(stop) || stop.autoDetected) && (
+                        <Button variant="contained" color="success" sx={{ flex: 1 }} onClick={() => markServiced(stop)}>
+                          {stop.autoDetected ? 'Confirm Emptied' : 'Emptied'}
+                        </Button>
+                      )}
+                      <Button variant="outlined" sx={{ flex: 1 }} onClick={() => setRecording(stop)}>
+                        {isPending(stop) ? 'Skip / Other' : 'Change'}
+                      </Button>
+                    </Box>
+                  )}
+                </CardContent>
+              </Card>
+            ))}
+
+            {route.problems?.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                {route.problems.map((p) => (
+                  <div key={p._id}>
+                    {formatTime(p.at)} {problemKinds[p.kind]}
+                    {p.sensorId ? ` at ${p.sensorId}` : ''}{p.note ? `: ${p.note}` : ''}
+                  </div>
+                ))}
+              </Alert>
+            )}
+          </>
+        )}
+      </Box>
+
+      {recording && (
+        <StopOutcomeDialog
+          route={route}
+          stop={recording}
+          onSubmit={(outcome) => record('stop', outcome, recording._id)}
+          onSaved={() => setRecording(null)}
+          onClose={() => setRecording(null)}
+        />
+      )}
+
+      <Dialog open={Boolean(problem)} onClose={() => setProblem(null)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ fontWeight: 700, color: 'primary.main' }}>Report a Problem</DialogTitle>
+        {problem && (
+          <DialogContent>
+            <TextField select label="Problem" value={problem.kind} onChange={(e) => setProblem({ ...problem, kind: e.target.value })} fullWidth margin="dense">
+              {Object.entries(problemKinds).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField select label="Stop" value={problem.stopId} onChange={(e) => setProblem({ ...problem, stopId: e.target.value })} fullWidth margin="dense">
+              <MenuItem value="">Whole route</MenuItem>
+              {binStops.map((stop) => (
+                <MenuItem key={stop._id} value={stop._id}>{stop.order}. {stop.locationName}</MenuItem>
+              ))}
+            </TextField>
+            <TextField label="Details" value={problem.note} onChange={(e) => setProblem({ ...problem, note: e.target.value })} fullWidth margin="dense" multiline minRows={2} />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setProblem(null)}>Cancel</Button>
+          <Button variant="contained" color="warning" onClick={sendProblem}>Send</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  )
+}
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react'
+import Paper from '@mui/material/Paper'
+import Typography from '@mui/material/Typography'
+import Box from '@mui/material/Box'
+import Chip from '@mui/material/Chip'
+import Table from '@mui/material/Table'
+import TableBody from '@mui/material/TableBody'
+import TableCell from '@mui/material/TableCell'
+import TableContainer from '@mui/material/TableContainer'
+import TableHead from '@mui/material/TableHead'
+import TableRow from '@mui/material/TableRow'
+import CircularProgress from '@mui/material/CircularProgress'
+import Alert from '@mui/material/Alert'
+import { api } from '../contexts/AuthContext'
+import { listen } from '../socket'
+import FleetMap from '../components/FleetMap'
+
+// No ping for this long = the position shown is stale
+const STALE_MINUTES = 5
+
+const minutesAgo = (at, now) => Math.floor((now - new Date(at)) / 60000)
+
+const formatAge = (at, now) => {
+  const minutes = minutesAgo(at, now)
+  if (minutes < 1) return 'Just now'
+  if (minutes < 60) return `${minutes} min ago`
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min ago`
+}
+
+const formatEta = (eta) => (eta ? new Date(eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--')
+
+export default function LiveFleet() {
+  const [entries, setEntries] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [trail, setTrail] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const loadFleet = async () => {
+      try {
+        const res = await api.getLiveFleet()
+        setEntries(res.data)
+        setError('')
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load fleet')
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadFleet()
+
+    // Pings replace the truck's entry; route and stop changes can move every truck's progress
+    const stopPositions = listen('truckPosition', (entry) => {
+      setEntries(current => current.some(e => e.truckId === entry.truckId)
+        ? current.map(e => (e.truckId === entry.truckId ? entry : e))
+        : [...current, entry])
+    })
+    const stopStatuses = listen('routePlanStatus', loadFleet)
+    const tick = setInterval(() => setNow(Date.now()), 30000)
+    return () => {
+      stopPositions()
+      stopStatuses()
+      clearInterval(tick)
+    }
+  }, [])
+
+  // Trail of the selected truck over the last 8 hours, extended by its live pings
+  useEffect(() => {
+    if (!selectedId) {
+      setTrail([])
+      return
+    }
+    let cancelled = false
+    api.getTruckPositions(selectedId)
+      .then(res => { if (!cancelled) setTrail(res.data) })
+      .catch(() => { if (!cancelled) setTrail([]) })
+    const stopTrail = listen('truckPosition', (entry) => {
+      if (entry.truckId === selectedId && entry.position) setTrail(current => [...current, entry.position])
+    })
+    return () => {
+      cancelled = true
+      stopTrail()
+    }
+  }, [selectedId])
+
+  const select = (truckId) => setSelectedId(current => (current === truckId ? null : truckId))
+
+  return (
+    <Box>
+      <Box sx={{ mb: 4 }}>
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            fontWeight: 800,
+            background: 'linear-gradient(135deg, #059669 0%, #10b981 100%)',
+            backgroundClip: 'text',
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            mb: 2,
+          }}
+        >
+          Live Fleet
+        </Typography>
+        <Typography variant="body1" sx={{ color: 'text.secondary', fontSize: '1.1rem' }}>
+          Where each active truck is relative to its planned route
+        </Typography>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={8}>
+          <CircularProgress sx={{ color: 'primary.main' }} />
+        </Box>
+      ) : (
+        <>
+          <Paper sx={{ p: 2, mb: 3, borderRadius: 3, border: '1px solid', borderColor: 'divider' }} elevation={0}>
+            <FleetMap entries={entries} selectedId={selectedId} trail={trail} onSelect={select} />
+            <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+              Dashed lines are planned routes; grey stops are done. A red ring marks a truck off its route. Select a truck to see where it has been today.
+            </Typography>
+          </Paper>
+
+          <Paper sx={{ borderRadius: 3, border: '1px solid', borderColor: 'divider' }} elevation={0}>
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow sx={{ backgroundColor: '#f8fafc' }}>
+                    <TableCell sx={{ fontWeight: 700 }}>Truck</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Last Ping</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Speed</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Route</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Next Stop</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Progress</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.map(entry => {
+                    const { position, route, progress } = entry
+                    const stale = position && minutesAgo(position.at, now) >= STALE_MINUTES
+                    return (
+                      <TableRow
+                        key={entry.truckId}
+                        hover
+                        selected={selectedId === entry.truckId}
+                        onClick={() => select(entry.truckId)}
+                        sx={{ cursor: 'pointer' }}
+                      >
+                        <TableCell sx={{ fontWeight: 500 }}>{entry.plate}</TableCell>
+                        <TableCell sx={{ color: stale ? 'warning.main' : 'inherit' }}>
+                          {position ? formatAge(position.at, now) : 'No GPS yet'}
+                        </TableCell>
+                        <TableCell>{position?.speedKmh !== undefined && position?.speedKmh !== null ? `${Math.round(position.speedKmh)} km/h` : '-'}</TableCell>
+                        <TableCell>
+                          {route ? `${route.status === 'in-progress' ? 'In progress' : 'Dispatched'} (${route.wasteStream || 'general'})` : 'No active route'}
+                        </TableCell>
+                        <TableCell>
+                          {progress?.nextStop
+                            ? `${progress.nextStop.locationName} (${progress.nextStop.sensorId}), ${progress.kmToNextStop} km, ETA ${formatEta(progress.nextStop.eta)}`
+                            : route ? 'All bins done' : '-'}
+                        </TableCell>
+                        <TableCell>
+                          {progress && (
+                            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                              <Chip
+                                size="small"
+                                color={progress.offRoute ? 'error' : 'success'}
+                                label={progress.offRoute ? `Off route by ${progress.offRouteKm} km` : 'On route'}
+                              />
+                              {progress.behindMin > 0 && (
+                                <Chip size="small" color="warning" label={`${progress.behindMin} min late`} />
+                              )}
+                            </Box>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                  {entries.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6} align="center" sx={{ color: 'text.secondary' }}>No active trucks</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+    </Box>
+  )
+}
@@ -18,18 +18,39 @@ import FormControl from '@mui/material/FormControl'
 import InputLabel from '@mui/material/InputLabel'
 import Select from '@mui/material/Select'
 import MenuItem from '@mui/material/MenuItem'
+import TextField from '@mui/material/TextField'
 import { api } from '../contexts/AuthContext'
+import RouteEditor from '../components/RouteEditor'
+import StopOutcomeDialog from '../components/StopOutcomeDialog'
+import { stopOutcomes, skipReasons, problemKinds, autoDetections } from '../components/stopOutcomes'
 import MapIcon from '@mui/icons-material/Map'
 import LocalShippingIcon from '@mui/icons-material/LocalShipping'
 
+// Why a bin that needed collection is on no route
+const unassignedReasons = {
+  capacity: 'Trucks full',
+  shift: 'No shift time left',
+  'time-window': 'Service window missed',
+  'no-truck': 'No truck for this stream',
+  'no-capacity': 'Truck capacity not set',
+  'depot-closed': 'Depots closed'
+}
+
 export default function RoutePlanning() {
   const [bins, setBins] = useState([])
   const [trucks, setTrucks] = useState([])
   const [routePlans, setRoutePlans] = useState([])
   const [selectedPlan, setSelectedPlan] = useState(null)
+  const [editing, setEditing] = useState(false)
+  const [recording, setRecording] = useState(null) // { route, stop }
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [mode, setMode] = useState('real-time')
+  const [objective, setObjective] = useState('distance')
+  const [targetDate, setTargetDate] = useState(() => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000)
+    return tomorrow.toISOString().slice(0, 10)
+  })
   const [routes, setRoutes] = useState([])
   const [mapLoading, setMapLoading] = useState(false)
 
@@ -66,12 +87,16 @@ export default function RoutePlanning() {
     }
   }
 
-  const generateRoutePlan = async () => {
+  // overrides: e.g. { sensorIds } to plan a second wave for a plan's unassigned bins
+  const generateRoutePlan = async (overrides = {}) => {
     setLoading(true)
     setError('')
     setRoutes([]) // Clear existing routes
     try {
-      const res = await api.generateRoutePlan({ mode })
+      const res = await api.generateRoutePlan({
+        ...(mode === 'predictive' ? { mode, targetDate, objective } : { mode, objective }),
+        ...overrides
+      })
 
       // Validate and sanitize route plan data
       const sanitizedRoutes = res.data.routes.map((route) => ({
@@ -85,6 +110,7 @@ export default function RoutePlanning() {
       }))
 
       const sanitizedEfficiency = {
+        ...res.data.efficiency,
         timeSaved: isNaN(res.data.efficiency.timeSaved) ? 0 : res.data.efficiency.timeSaved,
         distanceSaved: isNaN(res.data.efficiency.distanceSaved) ? 0 : res.data.efficiency.distanceSaved,
         fuelSaved: isNaN(res.data.efficiency.fuelSaved) ? 0 : res.data.efficiency.fuelSaved,
@@ -106,42 +132,110 @@ export default function RoutePlanning() {
     }
   }
 
-  const approvePlan = async (planId) => {
+  // Every lifecycle action returns the updated plan, including its history
+  const changeStatus = async (request, failure) => {
     try {
-      await api.approveRoutePlan(planId)
-      setRoutePlans(prev => prev.map(p => p._id === planId ? { ...p, approved: true } : p))
-      if (selectedPlan?._id === planId) {
-        setSelectedPlan(prev => ({ ...prev, approved: true }))
-      }
+      const res = await request()
+      setRoutePlans(prev => prev.map(p => (p._id === res.data._id ? res.data : p)))
+      setSelectedPlan(res.data)
     } catch (err) {
-      setError('Failed to approve plan')
+      setError(err.response?.data?.error || failure)
     }
   }
 
-  const dispatchPlan = async (planId) => {
-    try {
-      await api.dispatchRoutePlan(planId)
-      setRoutePlans(prev => prev.map(p => p._id === planId ? { ...p, dispatchedAt: new Date() } : p))
-      if (selectedPlan?._id === planId) {
-        setSelectedPlan(prev => ({ ...prev, dispatchedAt: new Date() }))
-      }
-    } catch (err) {
-      setError('Failed to dispatch plan')
+  const approvePlan = (planId) => changeStatus(() => api.approveRoutePlan(planId), 'Failed to approve plan')
+
+  const dispatchPlan = (planId) => changeStatus(() => api.dispatchRoutePlan(planId), 'Failed to dispatch plan')
+
+  const completePlan = (planId) => changeStatus(() => api.completeRoutePlan(planId), 'Failed to complete plan')
+
+  const cancelPlan = (planId) => {
+    const note = window.prompt('Reason for cancelling this plan?')
+    if (note === null) return
+    changeStatus(() => api.cancelRoutePlan(planId, { note }), 'Failed to cancel plan')
+  }
+
+  const setRouteStatus = (planId, route, status) => {
+    let note
+    if (status === 'cancelled') {
+      note = window.prompt(`Reason for cancelling the route of ${route.truckPlate}?`)
+      if (note === null) return
     }
+    changeStatus(() => api.updateRouteStatus(planId, route._id, { status, note }), 'Failed to update route status')
+  }
+
+  const planSecondWave = (plan) => generateRoutePlan({
+    mode: plan.mode,
+    targetDate: plan.mode === 'predictive' ? plan.generatedFor : undefined,
+    sensorIds: plan.unassignedBins.map(b => b.sensorId)
+  })
+
+  const saveStopOutcome = (plan) => {
+    setRoutePlans(prev => prev.map(p => (p._id === plan._id ? plan : p)))
+    setSelectedPlan(plan)
+    setRecording(null)
+  }
+
+  // Routes complete by themselves once every bin stop has an outcome
+  const stopProgress = (route) => {
+    const binStops = route.stops.filter(s => s.kind !== 'disposal')
+    const count = (status) => binStops.filter(s => s.status === status).length
+    return `${count('serviced')} serviced, ${count('partial')} partial, ${count('skipped')} skipped of ${binStops.length}`
+  }
+
+  const stopOutcomeText = (stop) => [
+    stop.status === 'skipped' ? `Skipped: ${skipReasons[stop.skipReason] || stop.skipReason}` : stopOutcomes[stop.status],
+    stop.observedFillLevel != null ? `${stop.observedFillLevel}% on arrival` : null,
+    stop.weightKg != null ? `${stop.weightKg} kg` : null,
+    stop.completedAt ? new Date(stop.completedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : null,
+    stop.autoDetected ? `Detected by ${autoDetections[stop.autoDetected]}, not confirmed by the driver` : null,
+    stop.sensorConfirmedAt ? `Bin sensor confirms: ${stop.sensorFillBefore}% → ${stop.sensorFillAfter}%` : null,
+    stop.note
+  ].filter(Boolean).join(' • ')
+
+  const saveEditedPlan = (plan) => {
+    setRoutePlans(prev => prev.map(p => (p._id === plan._id ? plan : p)))
+    setSelectedPlan(plan)
+    setEditing(false)
   }
 
-  const getStatusColor = (plan) => {
-    if (plan.dispatchedAt) return 'success'
-    if (plan.approved) return 'warning'
-    return 'default'
+  const totals = (planRoutes) => ({
+    distance: Math.round(planRoutes.reduce((sum, r) => sum + r.totalDistance, 0) * 100) / 100,
+    time: planRoutes.reduce((sum, r) => sum + r.estimatedTimeMin, 0)
+  })
+
+  const formatEta = (eta) => {
+    if (!eta) return '--:--'
+    return new Date(eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  }
+
+  // Load can exceed the body capacity when the truck unloads mid-route
+  const loadText = (route) => (route.trips > 0
+    ? `Load: ${route.load} L (${route.capacity} L body, ${route.trips} unloading ${route.trips === 1 ? 'trip' : 'trips'})`
+    : `Load: ${route.load}/${route.capacity} L`)
+
+  const statusColors = {
+    draft: 'default',
+    approved: 'warning',
+    dispatched: 'info',
+    'in-progress': 'primary',
+    completed: 'success',
+    cancelled: 'error'
   }
 
-  const getStatusText = (plan) => {
-    if (plan.dispatchedAt) return 'Dispatched'
-    if (plan.approved) return 'Approved'
-    return 'Pending'
+  const statusLabels = {
+    draft: 'Draft',
+    planned: 'Planned',
+    approved: 'Approved',
+    dispatched: 'Dispatched',
+    'in-progress': 'In Progress',
+    completed: 'Completed',
+    cancelled: 'Cancelled'
   }
 
+  const isOpen = (plan) => !['completed', 'cancelled'].includes(plan.status)
+
+
   return (
     <Box sx={{ p: 2 }}>
       <Box sx={{ mb: 4 }}>
@@ -211,15 +305,40 @@ export default function RoutePlanning() {
                 onChange={(e) => setMode(e.target.value)}
                 label="Optimization Mode"
               >
-                <MenuItem value="real-time">Real-Time (Bins  70% full)</MenuItem>
+                <MenuItem value="real-time">Real-Time (Bins at their Full threshold)</MenuItem>
                 <MenuItem value="predictive">Predictive (Historical patterns)</MenuItem>
               </Select>
             </FormControl>
 
+            <FormControl fullWidth sx={{ mb: 3, '& .MuiOutlinedInput-root': { borderRadius: 2 } }}>
+              <InputLabel sx={{ fontWeight: 500 }}>Objective</InputLabel>
+              <Select
+                value={objective}
+                onChange={(e) => setObjective(e.target.value)}
+                label="Objective"
+              >
+                <MenuItem value="distance">Shortest total distance</MenuItem>
+                <MenuItem value="balance-time">Balance route time across trucks</MenuItem>
+                <MenuItem value="balance-stops">Balance stops across trucks</MenuItem>
+              </Select>
+            </FormControl>
+
+            {mode === 'predictive' && (
+              <TextField
+                label="Plan For"
+                type="date"
+                value={targetDate}
+                onChange={(e) => setTargetDate(e.target.value)}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                sx={{ mb: 3, '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+              />
+            )}
+
             <Button
               variant="contained"
               fullWidth
-              onClick={generateRoutePlan}
+              onClick={() => generateRoutePlan()}
               disabled={loading}
               startIcon={loading ? <CircularProgress size={20} /> : null}
               sx={{
@@ -247,8 +366,8 @@ export default function RoutePlanning() {
               icon={<MapIcon sx={{ color: '#059669' }} />}
             >
               <Typography variant="body2" sx={{ fontWeight: 500 }}>
-                Real-time: Prioritizes bins with fill levels &gt;70%<br />
-                Predictive: Uses historical data &gt;50%
+                Real-time: Bins at or past their Full threshold (see Settings)<br />
+                Predictive: Bins forecast to reach their Full threshold on the chosen date
               </Typography>
             </Alert>
           </Paper>
@@ -283,7 +402,10 @@ export default function RoutePlanning() {
                   <ListItem
                     button
                     selected={selectedPlan?._id === plan._id}
-                    onClick={() => setSelectedPlan(plan)}
+                    onClick={() => {
+                      setSelectedPlan(plan)
+                      setEditing(false)
+                    }}
                     sx={{
                       borderRadius: 2,
                       mb: 1,
@@ -315,13 +437,14 @@ export default function RoutePlanning() {
                       }
                       secondary={
                         <Typography variant="body2" sx={{ color: 'text.secondary', mt: 0.5 }}>
-                          {getStatusText(plan)} • {new Date(plan.createdAt).toLocaleDateString()}
+                          {statusLabels[plan.status]} • {new Date(plan.createdAt).toLocaleDateString()}
+                          {plan.unassignedBins?.length > 0 ? ` • ${plan.unassignedBins.length} unassigned` : ''}
                         </Typography>
                       }
                     />
                     <Chip
-                      label={getStatusText(plan)}
-                      color={getStatusColor(plan)}
+                      label={statusLabels[plan.status]}
+                      color={statusColors[plan.status]}
                       size="small"
                       sx={{ fontWeight: 600, ml: 1 }}
                     />
@@ -374,8 +497,9 @@ export default function RoutePlanning() {
                           <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
                             {isActive && <LocalShippingIcon sx={{ mr: 1, color: 'primary.main' }} />}
                             <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
-                              Truck {route.truckPlate}: {route.stops.length} stops
+                              Truck {route.truckPlate}: {route.stops.filter(stop => stop.kind !== 'disposal').length} stops
                             </Typography>
+                            <Chip label={route.wasteStream || 'general'} size="small" variant="outlined" sx={{ ml: 2 }} />
                             {route.priorityRoute && (
                               <Chip
                                 label="PRIORITY"
@@ -388,13 +512,13 @@ export default function RoutePlanning() {
                           <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '1.1rem' }}>
                             {route.stops.map((stop, stopIndex) => (
                               <span key={stopIndex}>
-                                {stop.locationName}
+                                {stop.kind === 'disposal' ? `[unload] ${stop.locationName}` : stop.locationName}{stop.late ? ` (late ${stop.lateByMin} min)` : ''}
                                 {stopIndex < route.stops.length - 1 ? ' ➜ ' : ''}
                               </span>
                             ))}
                           </Typography>
                           <Typography variant="body2" sx={{ color: 'text.secondary', mt: 1 }}>
-                            Distance: {route.totalDistance} km | Time: {route.estimatedTimeMin} min
+                            Distance: {route.totalDistance} km | Time: {route.estimatedTimeMin} min | {loadText(route)}
                           </Typography>
                         </Box>
                       )
@@ -426,38 +550,213 @@ export default function RoutePlanning() {
               <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
                 Generated: {new Date(selectedPlan.createdAt).toLocaleString()}
               </Typography>
-              <Chip
-                label={getStatusText(selectedPlan)}
-                color={getStatusColor(selectedPlan)}
-                sx={{ fontWeight: 600, mb: 2 }}
-              />
-              <Box>
-                {selectedPlan.routes.map((route, index) => {
-                  const truck = trucks.find(t => t._id === route.truckId)
-                  const isActive = truck && truck.status === 'Active'
-                  return (
-                    <Box key={index} sx={{ mb: 2, p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
-                      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
-                        {isActive && <LocalShippingIcon sx={{ mr: 1, color: 'primary.main' }} />}
-                        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
-                          Route {index + 1}: Truck {route.truckPlate}
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                <Chip
+                  label={statusLabels[selectedPlan.status]}
+                  color={statusColors[selectedPlan.status]}
+                  sx={{ fontWeight: 600 }}
+                />
+                {selectedPlan.status === 'draft' && !editing && (
+                  <>
+                    <Button size="small" variant="outlined" onClick={() => setEditing(true)}>
+                      Edit Routes
+                    </Button>
+                    <Button size="small" variant="contained" onClick={() => approvePlan(selectedPlan._id)}>
+                      Approve
+                    </Button>
+                  </>
+                )}
+                {selectedPlan.status === 'approved' && (
+                  <Button size="small" variant="contained" onClick={() => dispatchPlan(selectedPlan._id)}>
+                    Dispatch
+                  </Button>
+                )}
+                {selectedPlan.status === 'in-progress' && (
+                  <Button size="small" variant="contained" color="success" onClick={() => completePlan(selectedPlan._id)}>
+                    Complete
+                  </Button>
+                )}
+                {isOpen(selectedPlan) && !editing && (
+                  <Button size="small" color="error" onClick={() => cancelPlan(selectedPlan._id)}>
+                    Cancel Plan
+                  </Button>
+                )}
+              </Box>
+              {selectedPlan.originalRoutes?.length > 0 && (
+                <Alert severity="info" sx={{ mb: 2, borderRadius: 2 }}>
+                  Edited by hand{selectedPlan.editedAt ? ` on ${new Date(selectedPlan.editedAt).toLocaleString()}` : ''}.
+                  Optimizer output: {selectedPlan.originalRoutes.length} routes, {totals(selectedPlan.originalRoutes).distance} km, {totals(selectedPlan.originalRoutes).time} min |
+                  Now: {selectedPlan.routes.length} routes, {totals(selectedPlan.routes).distance} km, {totals(selectedPlan.routes).time} min
+                </Alert>
+              )}
+              {selectedPlan.unassignedBins?.length > 0 && (
+                <Alert
+                  severity="warning"
+                  sx={{ mb: 2, borderRadius: 2 }}
+                  action={
+                    <Button color="inherit" size="small" disabled={loading} onClick={() => planSecondWave(selectedPlan)}>
+                      Plan Second Wave
+                    </Button>
+                  }
+                >
+                  <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                    {selectedPlan.unassignedBins.length} bins needed collection but were not routed
+                  </Typography>
+                  <List dense disablePadding>
+                    {selectedPlan.unassignedBins.map((bin) => (
+                      <ListItem key={bin.sensorId} disableGutters sx={{ py: 0 }}>
+                        <ListItemText
+                          primary={`${bin.sensorId} - ${bin.locationName} (${bin.wasteStream || 'general'}, ${bin.load} L)`}
+                          primaryTypographyProps={{ variant: 'body2' }}
+                        />
+                        {bin.priority && <Chip label="PRIORITY" color="error" size="small" sx={{ mr: 1, fontWeight: 700, fontSize: '0.7rem' }} />}
+                        <Chip label={unassignedReasons[bin.reason] || bin.reason} size="small" variant="outlined" />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Alert>
+              )}
+              {recording && (
+                <StopOutcomeDialog
+                  plan={selectedPlan}
+                  route={recording.route}
+                  stop={recording.stop}
+                  onSaved={saveStopOutcome}
+                  onClose={() => setRecording(null)}
+                />
+              )}
+              {editing ? (
+                <RouteEditor
+                  plan={selectedPlan}
+                  trucks={trucks}
+                  bins={bins}
+                  onSaved={saveEditedPlan}
+                  onCancel={() => setEditing(false)}
+                />
+              ) : (
+                <Box>
+                  {selectedPlan.routes.map((route, index) => {
+                    const truck = trucks.find(t => t._id === route.truckId)
+                    const isActive = truck && truck.status === 'Active'
+                    return (
+                      <Box key={index} sx={{ mb: 2, p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                          {isActive && <LocalShippingIcon sx={{ mr: 1, color: 'primary.main' }} />}
+                          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                            Route {index + 1}: Truck {route.truckPlate}{route.depotName ? ` from ${route.depotName}` : ''}
+                          </Typography>
+                          <Chip label={route.wasteStream || 'general'} size="small" variant="outlined" sx={{ ml: 2 }} />
+                          <Chip label={statusLabels[route.status]} size="small" sx={{ ml: 1, fontWeight: 600 }} />
+                          <Box sx={{ flexGrow: 1 }} />
+                          {route.status === 'dispatched' && (
+                            <Button size="small" onClick={() => setRouteStatus(selectedPlan._id, route, 'in-progress')}>
+                              Start
+                            </Button>
+                          )}
+                          {['dispatched', 'in-progress'].includes(route.status) && (
+                            <Button size="small" color="error" onClick={() => setRouteStatus(selectedPlan._id, route, 'cancelled')}>
+                              Cancel
+                            </Button>
+                          )}
+                        </Box>
+                        <List dense disablePadding sx={{ mb: 1 }}>
+                          {[...route.stops].sort((a, b) => a.order - b.order).map((stop) => (
+                            <ListItem key={stop.order} disableGutters sx={{ py: 0.25 }}>
+                              <ListItemText
+                                primary={stop.kind === 'disposal'
+                                  ? `${stop.order}. ${stop.locationName} - unload ${stop.unloadedLitres ?? 0} L`
+                                  : `${stop.order}. ${stop.locationName} (${stop.sensorId})`}
+                                secondary={
+                                  <>
+                                    {`ETA ${formatEta(stop.eta)} • +${stop.legDistance ?? 0} km${stop.waitMin > 0 ? ` • waits ${stop.waitMin} min` : ''}`}
+                                    {stop.arrivedAt ? ` • truck arrived ${formatEta(stop.arrivedAt)}` : ''}
+                                    {stop.status && stop.status !== 'pending' && (
+                                      <>
+                                        <br />
+                                        {stopOutcomeText(stop)}
+                                        {stop.photoUrl && (
+                                          <> • <a href={api.uploadUrl(stop.photoUrl)} target="_blank" rel="noreferrer">photo</a></>
+                                        )}
+                                      </>
+                                    )}
+                                  </>
+                                }
+                                primaryTypographyProps={{ fontWeight: 500 }}
+                              />
+                              {stop.kind !== 'disposal' && stop.status && stop.status !== 'pending' && (
+                                <Chip
+                                  label={stop.autoDetected ? `${stopOutcomes[stop.status]}?` : stopOutcomes[stop.status]}
+                                  color={stop.autoDetected ? 'info' : stop.status === 'serviced' ? 'success' : 'warning'}
+                                  size="small"
+                                  variant="outlined"
+                                  sx={{ fontWeight: 600, mr: 1 }}
+                                />
+                              )}
+                              {stop.kind !== 'disposal' && ['dispatched', 'in-progress'].includes(route.status) && (
+                                <Button size="small" onClick={() => setRecording({ route, stop })} sx={{ mr: 1 }}>
+                                  {stop.status && stop.status !== 'pending' ? 'Change' : 'Record'}
+                                </Button>
+                              )}
+                              {stop.kind === 'disposal' && (
+                                <Chip label="Unload" color="info" size="small" variant="outlined" sx={{ fontWeight: 600, mr: 1 }} />
+                              )}
+                              {stop.late && (
+                                <Chip label={`Late ${stop.lateByMin} min`} color="error" size="small" sx={{ fontWeight: 600 }} />
+                              )}
+                            </ListItem>
+                          ))}
+                        </List>
+                        <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                          Distance: {route.totalDistance} km | Time: {route.estimatedTimeMin} min (driving {route.drivingTimeMin} min) | {loadText(route)}
                         </Typography>
+                        {route.status !== 'planned' && (
+                          <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                            Stops: {stopProgress(route)}
+                          </Typography>
+                        )}
+                        {route.problems?.length > 0 && (
+                          <Alert severity="warning" sx={{ mt: 1, borderRadius: 2 }}>
+                            {route.problems.map((problem) => (
+                              <div key={problem._id}>
+                                {new Date(problem.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} {problemKinds[problem.kind]}
+                                {problem.sensorId ? ` at ${problem.sensorId}` : ''}{problem.note ? `: ${problem.note}` : ''}
+                                {problem.byName ? ` (${problem.byName})` : ''}
+                              </div>
+                            ))}
+                          </Alert>
+                        )}
+                        {route.shiftOverrunMin > 0 && (
+                          <Typography variant="body2" sx={{ color: 'error.main' }}>
+                            Runs {route.shiftOverrunMin} min past the driver's shift
+                          </Typography>
+                        )}
                       </Box>
-                      <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '1.1rem', mb: 1 }}>
-                        {route.stops.map((stop, stopIndex) => (
-                          <span key={stopIndex}>
-                            {stop.locationName}
-                            {stopIndex < route.stops.length - 1 ? ' ➜ ' : ''}
-                          </span>
-                        ))}
-                      </Typography>
-                      <Typography variant="body2" sx={{ color: 'text.secondary' }}>
-                        Distance: {route.totalDistance} km | Time: {route.estimatedTimeMin} min | Status: {route.status}
-                      </Typography>
-                    </Box>
-                  )
-                })}
-              </Box>
+                    )
+                  })}
+                </Box>
+              )}
+              {selectedPlan.improvement && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600, color: 'primary.main' }}>
+                    Local Search Improvement
+                  </Typography>
+                  <Typography variant="body2">
+                    Construction: {selectedPlan.improvement.constructionDistance} km | Improved: {selectedPlan.improvement.improvedDistance} km | Iterations: {selectedPlan.improvement.iterations}
+                  </Typography>
+                </Box>
+              )}
+              {selectedPlan.balance?.metric && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600, color: 'primary.main' }}>
+                    Workload Balance ({selectedPlan.objective === 'distance' ? 'shortest distance' : selectedPlan.objective.replace('-', ' ')})
+                  </Typography>
+                  <Typography variant="body2">
+                    {selectedPlan.balance.metric === 'stops'
+                      ? `Stops per truck: ${selectedPlan.balance.min} to ${selectedPlan.balance.max} | Spread: ${selectedPlan.balance.spread} stops`
+                      : `Route time per truck: ${selectedPlan.balance.min} to ${selectedPlan.balance.max} min | Spread: ${selectedPlan.balance.spread} min`}
+                  </Typography>
+                </Box>
+              )}
               {selectedPlan.efficiency && (
                 <Box sx={{ mt: 2 }}>
                   <Typography variant="subtitle1" sx={{ fontWeight: 600, color: 'primary.main' }}>
@@ -466,6 +765,29 @@ export default function RoutePlanning() {
                   <Typography variant="body2">
                     Time Saved: {selectedPlan.efficiency.timeSaved} min | Distance Saved: {selectedPlan.efficiency.distanceSaved} km | Fuel Saved: {selectedPlan.efficiency.fuelSaved} L
                   </Typography>
+                  {selectedPlan.efficiency.baselineSource && (
+                    <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                      Baseline ({selectedPlan.efficiency.baselineSource === 'legacy-schedule' ? 'legacy schedule' : 'unoptimized order'}): {selectedPlan.efficiency.baselineDistance} km, {selectedPlan.efficiency.baselineTime} min | Optimized: {selectedPlan.efficiency.optimizedDistance} km, {selectedPlan.efficiency.optimizedTime} min
+                    </Typography>
+                  )}
+                </Box>
+              )}
+              {selectedPlan.history?.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600, color: 'primary.main' }}>
+                    History
+                  </Typography>
+                  <List dense disablePadding>
+                    {selectedPlan.history.map((entry, index) => (
+                      <ListItem key={index} disableGutters sx={{ py: 0 }}>
+                        <ListItemText
+                          primary={`${entry.truckPlate ? `Route ${entry.truckPlate}: ` : ''}${entry.from ? `${statusLabels[entry.from]} → ` : ''}${statusLabels[entry.to]}${entry.note ? ` (${entry.note})` : ''}`}
+                          secondary={`${new Date(entry.at).toLocaleString()}${entry.byName ? ` by ${entry.byName}` : ''}`}
+                          primaryTypographyProps={{ variant: 'body2' }}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
                 </Box>
               )}
             </Paper>
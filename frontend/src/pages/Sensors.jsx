@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react'
+import Paper from '@mui/material/Paper'
+import Typography from '@mui/material/Typography'
+import Box from '@mui/material/Box'
+import Button from '@mui/material/Button'
+import Grid from '@mui/material/Grid'
+import Chip from '@mui/material/Chip'
+import List from '@mui/material/List'
+import ListItem from '@mui/material/ListItem'
+import ListItemText from '@mui/material/ListItemText'
+import Table from '@mui/material/Table'
+import TableBody from '@mui/material/TableBody'
+import TableCell from '@mui/material/TableCell'
+import TableContainer from '@mui/material/TableContainer'
+import TableHead from '@mui/material/TableHead'
+import TableRow from '@mui/material/TableRow'
+import TextField from '@mui/material/TextField'
+import Dialog from '@mui/material/Dialog'
+import DialogTitle from '@mui/material/DialogTitle'
+import DialogContent from '@mui/material/DialogContent'
+import DialogActions from '@mui/material/DialogActions'
+import Alert from '@mui/material/Alert'
+import VpnKeyIcon from '@mui/icons-material/VpnKey'
+import { api } from '../contexts/AuthContext'
+
+const paperSx = {
+  p: 3,
+  borderRadius: 3,
+  border: '1px solid',
+  borderColor: 'divider',
+  background: 'linear-gradient(135deg, #ffffff 0%, #f8fafc 100%)',
+  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+}
+
+const keyStatusColor = (status) => {
+  switch (status) {
+    case 'active': return 'success'
+    case 'expired': return 'warning'
+    case 'revoked': return 'error'
+    default: return 'default'
+  }
+}
+
+export default function Sensors() {
+  const [bins, setBins] = useState([])
+  const [selectedSensor, setSelectedSensor] = useState(null)
+  const [keys, setKeys] = useState([])
+  const [rejected, setRejected] = useState([])
+  const [graceHours, setGraceHours] = useState(24)
+  const [newToken, setNewToken] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      const [binsRes, rejectedRes] = await Promise.all([
+        api.getBins(),
+        api.getRejectedReadings()
+      ])
+      setBins(binsRes.data)
+      setRejected(rejectedRes.data)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load sensors')
+    }
+  }
+
+  const selectSensor = async (sensorId) => {
+    setSelectedSensor(sensorId)
+    setError('')
+    try {
+      const res = await api.getSensorKeys(sensorId)
+      setKeys(res.data)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load keys')
+    }
+  }
+
+  const issueKey = async () => {
+    setError('')
+    try {
+      const res = await api.issueSensorKey(selectedSensor, { graceHours })
+      setNewToken(res.data.token)
+      await selectSensor(selectedSensor)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to issue key')
+    }
+  }
+
+  const revokeKey = async (keyId) => {
+    if (!confirm(`Revoke key ${keyId}? The device will stop being able to report.`)) return
+    setError('')
+    try {
+      await api.revokeSensorKey(selectedSensor, keyId)
+      await selectSensor(selectedSensor)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke key')
+    }
+  }
+
+  const hasActiveKey = keys.some(k => k.status === 'active')
+
+  return (
+    <Box sx={{ p: 2 }}>
+      <Box sx={{ mb: 4 }}>
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            fontWeight: 800,
+            background: 'linear-gradient(135deg, #059669 0%, #10b981 100%)',
+            backgroundClip: 'text',
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            mb: 2,
+          }}
+        >
+          Sensor Security
+        </Typography>
+        <Typography variant="body1" sx={{ color: 'text.secondary', fontSize: '1.1rem' }}>
+          Provision, rotate and revoke bin sensor keys, and review refused readings
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Paper sx={paperSx} elevation={0}>
+            <Typography variant="h6" gutterBottom sx={{ fontWeight: 700, color: 'primary.main' }}>
+              Sensors
+            </Typography>
+            <List sx={{ maxHeight: 420, overflow: 'auto' }}>
+              {bins.map((bin) => (
+                <ListItem
+                  key={bin._id}
+                  button
+                  selected={selectedSensor === bin.sensorId}
+                  onClick={() => selectSensor(bin.sensorId)}
+                  sx={{ borderRadius: 2, mb: 0.5 }}
+                >
+                  <ListItemText primary={bin.sensorId} secondary={bin.locationName} />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          <Paper sx={paperSx} elevation={0}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+              <Typography variant="h6" sx={{ fontWeight: 700, color: 'primary.main' }}>
+                {selectedSensor ? `Keys for ${selectedSensor}` : 'Select a sensor'}
+              </Typography>
+              {selectedSensor && (
+                <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                  <TextField
+                    label="Old key grace (hours)"
+                    type="number"
+                    size="small"
+                    value={graceHours}
+                    onChange={(e) => setGraceHours(e.target.value)}
+                    sx={{ width: 180 }}
+                  />
+                  <Button variant="contained" startIcon={<VpnKeyIcon />} onClick={issueKey}>
+                    {hasActiveKey ? 'Rotate Key' : 'Issue Key'}
+                  </Button>
+                </Box>
+              )}
+            </Box>
+            {selectedSensor && (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 700 }}>Key ID</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>Status</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>Created</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>Expires</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>Last Used</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 700 }}>Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {keys.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={6} sx={{ textAlign: 'center', color: 'text.secondary' }}>
+                          No keys issued. Readings from this sensor are rejected.
+                        </TableCell>
+                      </TableRow>
+                    ) : keys.map((key) => (
+                      <TableRow key={key.keyId}>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>{key.keyId}</TableCell>
+                        <TableCell>
+                          <Chip label={key.status} color={keyStatusColor(key.status)} size="small" />
+                        </TableCell>
+                        <TableCell>{new Date(key.createdAt).toLocaleString()}</TableCell>
+                        <TableCell>{key.expiresAt ? new Date(key.expiresAt).toLocaleString() : '-'}</TableCell>
+                        <TableCell>{key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}</TableCell>
+                        <TableCell align="right">
+                          {key.status !== 'revoked' && (
+                            <Button size="small" color="error" onClick={() => revokeKey(key.keyId)}>
+                              Revoke
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Paper sx={paperSx} elevation={0}>
+            <Typography variant="h6" gutterBottom sx={{ fontWeight: 700, color: 'primary.main' }}>
+              Rejected Readings
+            </Typography>
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 700 }}>Received</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Sensor</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Key ID</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Reason</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Source</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rejected.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={5} sx={{ textAlign: 'center', color: 'text.secondary' }}>
+                        No rejected readings
+                      </TableCell>
+                    </TableRow>
+                  ) : rejected.map((r) => (
+                    <TableRow key={r._id}>
+                      <TableCell>{new Date(r.receivedAt).toLocaleString()}</TableCell>
+                      <TableCell>{r.sensorId || '-'}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{r.keyId || '-'}</TableCell>
+                      <TableCell>
+                        <Chip label={r.reason} color="error" size="small" variant="outlined" />
+                      </TableCell>
+                      <TableCell>{r.source}{r.ip ? ` (${r.ip})` : ''}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Dialog open={Boolean(newToken)} onClose={() => setNewToken('')} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ fontWeight: 700, color: 'primary.main' }}>New Sensor Key</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Copy this key to the device now. It cannot be shown again.
+          </Alert>
+          <TextField value={newToken} fullWidth InputProps={{ readOnly: true, sx: { fontFamily: 'monospace' } }} />
+          <Typography variant="body2" sx={{ color: 'text.secondary', mt: 2 }}>
+            The device sends it in the X-Sensor-Key header with every report.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNewToken('')}>Done</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  )
+}
@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react'
+import Paper from '@mui/material/Paper'
+import Typography from '@mui/material/Typography'
+import Box from '@mui/material/Box'
+import Button from '@mui/material/Button'
+import Grid from '@mui/material/Grid'
+import IconButton from '@mui/material/IconButton'
+import Table from '@mui/material/Table'
+import TableBody from '@mui/material/TableBody'
+import TableCell from '@mui/material/TableCell'
+import TableContainer from '@mui/material/TableContainer'
+import TableHead from '@mui/material/TableHead'
+import TableRow from '@mui/material/TableRow'
+import TextField from '@mui/material/TextField'
+import Alert from '@mui/material/Alert'
+import AddIcon from '@mui/icons-material/Add'
+import DeleteIcon from '@mui/icons-material/Delete'
+import SaveIcon from '@mui/icons-material/Save'
+import { api } from '../contexts/AuthContext'
+
+const LEVELS = [
+  { key: 'half', label: 'Half %' },
+  { key: 'full', label: 'Full %' },
+  { key: 'priority', label: 'Priority %' }
+]
+
+const paperSx = {
+  p: 3,
+  borderRadius: 3,
+  border: '1px solid',
+  borderColor: 'divider',
+  background: 'linear-gradient(135deg, #ffffff 0%, #f8fafc 100%)',
+  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+}
+
+// Empty inputs inherit; everything else is sent as a number
+const toNumbers = (values) => Object.fromEntries(
+  LEVELS.map(({ key }) => [key, values?.[key] === '' || values?.[key] === undefined || values?.[key] === null ? null : Number(values[key])])
+)
+
+export default function Settings() {
+  const [defaults, setDefaults] = useState({ half: '', full: '', priority: '' })
+  const [binTypes, setBinTypes] = useState([])
+  const [bins, setBins] = useState([])
+  const [binOverrides, setBinOverrides] = useState({})
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      const [thresholdsRes, binsRes] = await Promise.all([api.getThresholds(), api.getBins()])
+      setDefaults(thresholdsRes.data.defaults)
+      setBinTypes(thresholdsRes.data.binTypes)
+      setBins(binsRes.data)
+      setBinOverrides(Object.fromEntries(binsRes.data.map(bin => [bin._id, {
+        half: bin.fillThresholds?.half ?? '',
+        full: bin.fillThresholds?.full ?? '',
+        priority: bin.fillThresholds?.priority ?? ''
+      }])))
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load settings')
+    }
+  }
+
+  const saveThresholds = async () => {
+    setError('')
+    setSuccess('')
+    try {
+      const payload = {
+        defaults: toNumbers(defaults),
+        binTypes: binTypes.map(t => ({ binType: t.binType, ...toNumbers(t) }))
+      }
+      await api.updateThresholds(payload)
+      setSuccess('Thresholds saved and bin statuses updated')
+      loadData()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save thresholds')
+    }
+  }
+
+  const saveBinOverride = async (bin) => {
+    setError('')
+    setSuccess('')
+    try {
+      await api.updateBinThresholds(bin._id, toNumbers(binOverrides[bin._id]))
+      setSuccess(`Thresholds for ${bin.sensorId} saved`)
+      loadData()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save bin thresholds')
+    }
+  }
+
+  const updateBinType = (index, field, value) => {
+    setBinTypes(binTypes.map((t, i) => (i === index ? { ...t, [field]: value } : t)))
+  }
+
+  const updateBinOverride = (id, field, value) => {
+    setBinOverrides({ ...binOverrides, [id]: { ...binOverrides[id], [field]: value } })
+  }
+
+  return (
+    <Box sx={{ p: 2 }}>
+      <Box sx={{ mb: 4 }}>
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            fontWeight: 800,
+            background: 'linear-gradient(135deg, #059669 0%, #10b981 100%)',
+            backgroundClip: 'text',
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            mb: 2,
+          }}
+        >
+          Settings
+        </Typography>
+        <Typography variant="body1" sx={{ color: 'text.secondary', fontSize: '1.1rem' }}>
+          Fill-level cut-offs for bin status, route planning and forecasts. Bins past their Full threshold are collected.
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 3, borderRadius: 2 }}>
+          {success}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={5}>
+          <Paper sx={paperSx} elevation={0}>
+            <Typography variant="h6" gutterBottom sx={{ fontWeight: 700, color: 'primary.main' }}>
+              Global Defaults
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              {LEVELS.map(({ key, label }) => (
+                <TextField
+                  key={key}
+                  label={label}
+                  type="number"
+                  size="small"
+                  value={defaults[key]}
+                  onChange={(e) => setDefaults({ ...defaults, [key]: e.target.value })}
+                />
+              ))}
+            </Box>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={7}>
+          <Paper sx={paperSx} elevation={0}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="h6" sx={{ fontWeight: 700, color: 'primary.main' }}>
+                Bin Type Overrides
+              </Typography>
+              <Button
+                startIcon={<AddIcon />}
+                onClick={() => setBinTypes([...binTypes, { binType: '', half: '', full: '', priority: '' }])}
+              >
+                Add Type
+              </Button>
+            </Box>
+            <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+              Leave a value empty to use the global default.
+            </Typography>
+            {binTypes.map((t, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 2, mb: 2, alignItems: 'center' }}>
+                <TextField
+                  label="Bin type"
+                  size="small"
+                  value={t.binType}
+                  onChange={(e) => updateBinType(index, 'binType', e.target.value)}
+                />
+                {LEVELS.map(({ key, label }) => (
+                  <TextField
+                    key={key}
+                    label={label}
+                    type="number"
+                    size="small"
+                    value={t[key] ?? ''}
+                    onChange={(e) => updateBinType(index, key, e.target.value)}
+                  />
+                ))}
+                <IconButton color="error" onClick={() => setBinTypes(binTypes.filter((_, i) => i !== index))}>
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            ))}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Button variant="contained" startIcon={<SaveIcon />} onClick={saveThresholds}>
+            Save Defaults & Bin Types
+          </Button>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Paper sx={paperSx} elevation={0}>
+            <Typography variant="h6" gutterBottom sx={{ fontWeight: 700, color: 'primary.main' }}>
+              Per-Bin Overrides
+            </Typography>
+            <TableContainer sx={{ maxHeight: 500 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 700 }}>Sensor</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Location</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Bin Type</TableCell>
+                    {LEVELS.map(({ key, label }) => (
+                      <TableCell key={key} sx={{ fontWeight: 700 }}>{label}</TableCell>
+                    ))}
+                    <TableCell sx={{ fontWeight: 700 }}>Status</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {bins.map((bin) => (
+                    <TableRow key={bin._id}>
+                      <TableCell>{bin.sensorId}</TableCell>
+                      <TableCell>{bin.locationName}</TableCell>
+                      <TableCell>{bin.binType}</TableCell>
+                      {LEVELS.map(({ key }) => (
+                        <TableCell key={key}>
+                          <TextField
+                            type="number"
+                            size="small"
+                            placeholder="inherit"
+                            sx={{ width: 100 }}
+                            value={binOverrides[bin._id]?.[key] ?? ''}
+                            onChange={(e) => updateBinOverride(bin._id, key, e.target.value)}
+                          />
+                        </TableCell>
+                      ))}
+                      <TableCell>{bin.fillLevel}% ({bin.status})</TableCell>
+                      <TableCell>
+                        <Button size="small" onClick={() => saveBinOverride(bin)}>Save</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  )
+}
@@ -14,6 +14,7 @@ import IconButton from '@mui/material/IconButton'
 import EditIcon from '@mui/icons-material/Edit'
 import DeleteIcon from '@mui/icons-material/Delete'
 import AddIcon from '@mui/icons-material/Add'
+import BadgeIcon from '@mui/icons-material/Badge'
 import Dialog from '@mui/material/Dialog'
 import DialogTitle from '@mui/material/DialogTitle'
 import DialogContent from '@mui/material/DialogContent'
@@ -22,6 +23,9 @@ import TextField from '@mui/material/TextField'
 import MenuItem from '@mui/material/MenuItem'
 import CircularProgress from '@mui/material/CircularProgress'
 import Alert from '@mui/material/Alert'
+import List from '@mui/material/List'
+import ListItem from '@mui/material/ListItem'
+import ListItemText from '@mui/material/ListItemText'
 
 const locations = [
   'Paranthan', 'Poonagary', 'Kilinochchi Town', 'Ramanathapuram', 'Uruthirapuram',
@@ -30,26 +34,102 @@ const locations = [
   'Elephant Pass', 'Iranamadu', 'Mankulam', 'Puliyankulam', 'Vavuniya Road',
   'Oddusuddan', 'Kanakapuram', 'Karachchi', 'Mallavi', 'Thunukkai'
 ]
+
+// Matches the backend's WASTE_STREAMS
+const wasteStreams = ['general', 'recyclables', 'organic']
+
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:5000'
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` })
 
 export default function TruckManagement() {
   const [trucks, setTrucks] = useState([])
+  const [depots, setDepots] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
 
   const [dialogOpen, setDialogOpen] = useState(false)
   const [editing, setEditing] = useState(null)
-  const [form, setForm] = useState({ plate: '', model: '', capacity: '', status: 'Active', currentLocation: 'Kilinochchi Town', driver: { name: '', phone: '', email: '' } })
+  const [form, setForm] = useState({ plate: '', model: '', capacity: '', wasteStreams: ['general'], status: 'Active', depotId: '', currentLocation: 'Kilinochchi Town', driver: { name: '', phone: '', email: '' } })
+
+  // Driver logins for the mobile driver view, managed per truck
+  const [drivers, setDrivers] = useState([])
+  const [loginTruck, setLoginTruck] = useState(null)
+  const [loginForm, setLoginForm] = useState({ username: '', name: '', password: '' })
+  const [loginError, setLoginError] = useState('')
 
   useEffect(() => {
     fetchTrucks()
+    fetchDepots()
+    fetchDrivers()
   }, [])
 
+  async function fetchDrivers() {
+    try {
+      const res = await fetch(`${API_BASE}/api/users?role=driver`, { headers: authHeaders() })
+      if (!res.ok) throw new Error('Failed to load driver logins')
+      setDrivers(await res.json())
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const openLogins = (truck) => {
+    setLoginTruck(truck)
+    setLoginForm({ username: truck.plate.toLowerCase(), name: truck.driver?.name || '', password: '' })
+    setLoginError('')
+  }
+
+  async function handleCreateLogin() {
+    setLoginError('')
+    if (!loginForm.username || !loginForm.name || !loginForm.password) {
+      setLoginError('Username, name and password are required')
+      return
+    }
+    try {
+      const res = await fetch(`${API_BASE}/api/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ ...loginForm, role: 'driver', truckId: loginTruck._id }),
+      })
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}))
+        throw new Error(err.error || 'Failed to create driver login')
+      }
+      const created = await res.json()
+      setDrivers((d) => [...d, created])
+      setLoginForm({ username: '', name: '', password: '' })
+    } catch (err) {
+      setLoginError(err.message)
+    }
+  }
+
+  async function handleDeleteLogin(id) {
+    if (!confirm('Delete this driver login?')) return
+    setLoginError('')
+    try {
+      const res = await fetch(`${API_BASE}/api/users/${id}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('Failed to delete driver login')
+      setDrivers((d) => d.filter((u) => u._id !== id))
+    } catch (err) {
+      setLoginError(err.message)
+    }
+  }
+
+  async function fetchDepots() {
+    try {
+      const res = await fetch(`${API_BASE}/api/depots`, { headers: authHeaders() })
+      if (!res.ok) throw new Error('Failed to load depots')
+      setDepots(await res.json())
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
   async function fetchTrucks() {
     setLoading(true)
     setError('')
     try {
-      const res = await fetch(`${API_BASE}/api/trucks`)
+      const res = await fetch(`${API_BASE}/api/trucks`, { headers: authHeaders() })
       if (!res.ok) throw new Error('Failed to load trucks')
       const data = await res.json()
       setTrucks(data)
@@ -62,7 +142,7 @@ export default function TruckManagement() {
 
   const openAdd = () => {
     setEditing(null)
-    setForm({ plate: '', model: '', capacity: '', status: 'Active', currentLocation: 'Kilinochchi Town', driver: { name: '', phone: '', email: '' } })
+    setForm({ plate: '', model: '', capacity: '', wasteStreams: ['general'], status: 'Active', depotId: '', currentLocation: 'Kilinochchi Town', driver: { name: '', phone: '', email: '' } })
     setDialogOpen(true)
   }
 
@@ -72,7 +152,9 @@ export default function TruckManagement() {
       plate: truck.plate,
       model: truck.model,
       capacity: truck.capacity,
+      wasteStreams: truck.wasteStreams?.length ? truck.wasteStreams : ['general'],
       status: truck.status,
+      depotId: truck.depotId || '',
       currentLocation: truck.currentLocation || 'Kilinochchi Town',
       driver: truck.driver || { name: '', phone: '', email: '' }
     })
@@ -90,8 +172,8 @@ export default function TruckManagement() {
       if (editing) {
         const res = await fetch(`${API_BASE}/api/trucks/${editing}`, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(form),
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
+          body: JSON.stringify({ ...form, depotId: form.depotId || null }),
         })
         if (!res.ok) throw new Error('Failed to update truck')
         const updated = await res.json()
@@ -99,8 +181,8 @@ export default function TruckManagement() {
       } else {
         const res = await fetch(`${API_BASE}/api/trucks`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(form),
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
+          body: JSON.stringify({ ...form, depotId: form.depotId || null }),
         })
         if (!res.ok) {
           const err = await res.json().catch(() => ({}))
@@ -119,7 +201,7 @@ export default function TruckManagement() {
     if (!confirm('Delete this truck?')) return
     setError('')
     try {
-      const res = await fetch(`${API_BASE}/api/trucks/${id}`, { method: 'DELETE' })
+      const res = await fetch(`${API_BASE}/api/trucks/${id}`, { method: 'DELETE', headers: authHeaders() })
       if (!res.ok) throw new Error('Failed to delete truck')
       setTrucks((t) => t.filter((tr) => (tr._id || tr.id) !== id))
     } catch (err) {
@@ -187,7 +269,7 @@ export default function TruckManagement() {
             startIcon={<AddIcon />}
             onClick={() => {
               setEditing(null)
-              setForm({ plate: '', model: '', capacity: '', status: 'Active', driver: { name: '', phone: '', email: '' } })
+              setForm({ plate: '', model: '', capacity: '', wasteStreams: ['general'], status: 'Active', depotId: '', driver: { name: '', phone: '', email: '' } })
               setDialogOpen(true)
             }}
             sx={{
@@ -232,9 +314,24 @@ export default function TruckManagement() {
                   >
                     <TableCell sx={{ fontWeight: 500 }}>{truck.plate}</TableCell>
                     <TableCell>{truck.model}</TableCell>
-                    <TableCell>{truck.capacity}</TableCell>
-                    <TableCell>{truck.driver?.name || 'Not assigned'}</TableCell>
-                    <TableCell>{truck.currentLocation || 'Not set'}</TableCell>
+                    <TableCell>
+                      {truck.capacity ? `${truck.capacity} L` : 'Not set'}
+                      <Typography variant="caption" display="block" sx={{ color: 'text.secondary' }}>
+                        {(truck.wasteStreams?.length ? truck.wasteStreams : ['general']).join(', ')}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {truck.driver?.name || 'Not assigned'}
+                      <Typography variant="caption" display="block" sx={{ color: 'text.secondary' }}>
+                        {drivers.filter(u => u.truckId === truck._id).map(u => u.username).join(', ') || 'No login'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {truck.currentLocation || 'Not set'}
+                      <Typography variant="caption" display="block" sx={{ color: 'text.secondary' }}>
+                        Based at {depots.find(d => d._id === truck.depotId)?.name || 'nearest depot'}
+                      </Typography>
+                    </TableCell>
                     <TableCell>
                       <Box
                         sx={{
@@ -261,7 +358,7 @@ export default function TruckManagement() {
                         size="small"
                         onClick={() => {
                           setEditing(truck._id || truck.id)
-                          setForm(truck)
+                          setForm({ ...truck, depotId: truck.depotId || '' })
                           setDialogOpen(true)
                         }}
                         sx={{
@@ -274,6 +371,20 @@ export default function TruckManagement() {
                       >
                         <EditIcon fontSize="small"/>
                       </IconButton>
+                      <IconButton
+                        size="small"
+                        title="Driver logins"
+                        onClick={() => openLogins(truck)}
+                        sx={{
+                          color: 'primary.main',
+                          '&:hover': {
+                            backgroundColor: 'primary.light',
+                            color: 'primary.dark',
+                          },
+                        }}
+                      >
+                        <BadgeIcon fontSize="small"/>
+                      </IconButton>
                       <IconButton
                         size="small"
                         onClick={() => handleDelete(truck._id || truck.id)}
@@ -329,12 +440,27 @@ export default function TruckManagement() {
               sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
             />
             <TextField
-              label="Capacity (tons)"
-              value={form.capacity}
+              label="Capacity (litres)"
+              type="number"
+              value={form.capacity ?? ''}
               onChange={(e) => setForm((f) => ({ ...f, capacity: e.target.value }))}
               fullWidth
               sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
             />
+            <TextField
+              select
+              label="Waste Streams"
+              value={form.wasteStreams || ['general']}
+              onChange={(e) => setForm((f) => ({ ...f, wasteStreams: e.target.value }))}
+              SelectProps={{ multiple: true }}
+              helperText="One stream is collected per route; streams are never mixed"
+              fullWidth
+              sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+            >
+              {wasteStreams.map((stream) => (
+                <MenuItem key={stream} value={stream}>{stream}</MenuItem>
+              ))}
+            </TextField>
             <TextField
               select
               label="Status"
@@ -347,6 +473,22 @@ export default function TruckManagement() {
               <MenuItem value="In Maintenance">In Maintenance</MenuItem>
               <MenuItem value="Inactive">Inactive</MenuItem>
             </TextField>
+            <TextField
+              select
+              label="Home Depot"
+              value={form.depotId || ''}
+              onChange={(e) => setForm((f) => ({ ...f, depotId: e.target.value }))}
+              helperText="Routes start and end here"
+              fullWidth
+              sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+            >
+              <MenuItem value="">Nearest depot</MenuItem>
+              {depots.map((depot) => (
+                <MenuItem key={depot._id} value={depot._id}>
+                  {depot.name}{depot.municipality ? ` (${depot.municipality})` : ''}
+                </MenuItem>
+              ))}
+            </TextField>
             <TextField
               select
               label="Current Location"
@@ -384,6 +526,26 @@ export default function TruckManagement() {
               fullWidth
               sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
             />
+            <Box display="flex" gap={2}>
+              <TextField
+                label="Shift Start"
+                type="time"
+                value={form.driver.shiftStart || '06:00'}
+                onChange={(e) => setForm((f) => ({ ...f, driver: { ...f.driver, shiftStart: e.target.value } }))}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+              />
+              <TextField
+                label="Shift End"
+                type="time"
+                value={form.driver.shiftEnd || '14:00'}
+                onChange={(e) => setForm((f) => ({ ...f, driver: { ...f.driver, shiftEnd: e.target.value } }))}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+              />
+            </Box>
           </Box>
         </DialogContent>
         <DialogActions sx={{ p: 3, pt: 0 }}>
@@ -413,6 +575,77 @@ export default function TruckManagement() {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog
+        open={Boolean(loginTruck)}
+        onClose={() => setLoginTruck(null)}
+        maxWidth="xs"
+        fullWidth
+        sx={{
+          '& .MuiDialog-paper': {
+            borderRadius: 3,
+            border: '1px solid',
+            borderColor: 'divider',
+          },
+        }}
+      >
+        <DialogTitle sx={{ fontWeight: 700, color: 'primary.main' }}>
+          Driver Logins - {loginTruck?.plate}
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ color: 'text.secondary', mb: 1 }}>
+            Drivers sign in with these to see this truck's dispatched route on their phone.
+          </Typography>
+          {loginError && <Alert severity="error" sx={{ mb: 2, borderRadius: 2 }}>{loginError}</Alert>}
+          <List dense>
+            {drivers.filter(u => u.truckId === loginTruck?._id).map((u) => (
+              <ListItem
+                key={u._id}
+                disableGutters
+                secondaryAction={
+                  <IconButton size="small" onClick={() => handleDeleteLogin(u._id)} sx={{ color: 'error.main' }}>
+                    <DeleteIcon fontSize="small"/>
+                  </IconButton>
+                }
+              >
+                <ListItemText primary={u.username} secondary={u.name} />
+              </ListItem>
+            ))}
+          </List>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <TextField
+              label="Username"
+              value={loginForm.username}
+              onChange={(e) => setLoginForm((f) => ({ ...f, username: e.target.value }))}
+              fullWidth
+              sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+            />
+            <TextField
+              label="Driver Name"
+              value={loginForm.name}
+              onChange={(e) => setLoginForm((f) => ({ ...f, name: e.target.value }))}
+              fullWidth
+              sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={loginForm.password}
+              onChange={(e) => setLoginForm((f) => ({ ...f, password: e.target.value }))}
+              fullWidth
+              sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ p: 3, pt: 0 }}>
+          <Button onClick={() => setLoginTruck(null)} sx={{ borderRadius: 2, fontWeight: 600, color: 'text.secondary' }}>
+            Close
+          </Button>
+          <Button variant="contained" onClick={handleCreateLogin} sx={{ borderRadius: 2, fontWeight: 600 }}>
+            Add Login
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   )
 }
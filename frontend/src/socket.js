@@ -0,0 +1,20 @@
+import { io } from 'socket.io-client'
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:5000'
+
+// One shared connection to the backend's live updates; pages connect while they listen
+export const socket = io(API_BASE, { autoConnect: false })
+
+let listeners = 0
+
+// Subscribe to an event for as long as the caller needs it; returns the unsubscribe
+export function listen(event, handler) {
+  socket.on(event, handler)
+  listeners += 1
+  if (listeners === 1) socket.connect()
+  return () => {
+    socket.off(event, handler)
+    listeners -= 1
+    if (listeners === 0) socket.disconnect()
+  }
+}
@@ -4,6 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    // Read by public/sw.js to precache the hashed assets of the build; kept out of .vite/
+    // since static hosts often refuse dot directories
+    manifest: 'asset-manifest.json'
+  },
   server: {
     proxy: {
       // Proxy API requests to the backend running on port 5000